@@ -0,0 +1,141 @@
+/**
+ * BM25 Benchmark
+ * Query latency of the inverted index vs. a full-corpus scan (the pre-index
+ * algorithm) on synthetic corpora of growing size. Each corpus has topics of
+ * ~50 chunks plus a shared set of common words, so a topic query matches about
+ * the same number of chunks whatever the corpus size, like a real site growing
+ * by adding pages on new subjects.
+ *
+ * Usage: npm run bench:bm25 [-- 1000 5000 20000]
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const bm25Service = require('../src/services/bm25.service');
+
+const SIZES = process.argv.slice(2).map(Number).filter(n => n > 0);
+const CORPUS_SIZES = SIZES.length > 0 ? SIZES : [1000, 5000, 20000];
+const CHUNKS_PER_TOPIC = 50;
+const WORDS_PER_TOPIC = 100;
+const COMMON_WORDS = 50;
+const QUERIES = 200;
+
+// Deterministic pseudo-random numbers, so every run indexes the same corpora
+let seed = 42;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const pick = (count) => Math.floor(random() * count);
+
+/**
+ * Synthetic chunk: 80 words from its topic, 40 common words (skewed towards the first ones)
+ * @param {number} i
+ * @returns {{id: string, text: string, metadata: object}}
+ */
+function makeChunk(i) {
+  const topic = Math.floor(i / CHUNKS_PER_TOPIC);
+  const words = [];
+
+  for (let w = 0; w < 80; w++) words.push(`topic${topic}word${pick(WORDS_PER_TOPIC)}`);
+  for (let w = 0; w < 40; w++) words.push(`common${Math.floor(random() * random() * COMMON_WORDS)}`);
+
+  return { id: `chunk-${i}`, text: words.join(' '), metadata: {} };
+}
+
+/**
+ * Full-corpus scan: term frequencies rebuilt for every document on every query
+ * @param {Array<Array<string>>} documents - Token arrays
+ * @param {Array<string>} queryTerms
+ * @param {Map<string, number>} idf
+ * @param {number} avgDocLength
+ * @returns {Array<number>} Score per document
+ */
+function scanSearch(documents, queryTerms, idf, avgDocLength) {
+  const k1 = 1.5;
+  const b = 0.75;
+
+  return documents.map(doc => {
+    const termFreq = new Map();
+    for (const term of doc) termFreq.set(term, (termFreq.get(term) || 0) + 1);
+
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = termFreq.get(term) || 0;
+      if (tf === 0) continue;
+      score += (idf.get(term) || 0) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (doc.length / avgDocLength)));
+    }
+    return score;
+  });
+}
+
+/**
+ * Average microseconds per call
+ * @param {Array<*>} inputs
+ * @param {Function} run
+ * @returns {number}
+ */
+function timeQueries(inputs, run) {
+  const start = process.hrtime.bigint();
+  inputs.forEach(run);
+  return Number(process.hrtime.bigint() - start) / 1000 / inputs.length;
+}
+
+async function main() {
+  const log = console.log;
+  const rows = [];
+
+  for (const size of CORPUS_SIZES) {
+    const chunks = Array.from({ length: size }, (_, i) => makeChunk(i));
+    const topics = Math.ceil(size / CHUNKS_PER_TOPIC);
+
+    const topicQueries = Array.from({ length: QUERIES }, () => {
+      const topic = pick(topics);
+      return `topic${topic}word${pick(WORDS_PER_TOPIC)} topic${topic}word${pick(WORDS_PER_TOPIC)} topic${topic}word${pick(WORDS_PER_TOPIC)}`;
+    });
+    const commonQueries = topicQueries.map(query => `${query} common${pick(5)}`);
+
+    const service = new bm25Service.constructor();
+    service.indexPath = path.join(os.tmpdir(), `bm25-bench-${process.pid}.json`);
+
+    // The service logs every build and search
+    console.log = () => {};
+    console.warn = () => {};
+
+    const buildStart = Date.now();
+    await service.buildIndex(chunks);
+    const buildMs = Date.now() - buildStart;
+
+    // Warm up the JIT before timing
+    topicQueries.forEach(query => service.search(query, 20));
+
+    const topicUs = timeQueries(topicQueries, query => service.search(query, 20));
+    const commonUs = timeQueries(commonQueries, query => service.search(query, 20));
+
+    // Baseline on the same tokens and statistics
+    const documents = chunks.map(chunk => service.tokenize(chunk.text));
+    const idf = new Map();
+    service.bm25.postings.forEach(({ docs }, term) => idf.set(term, service.bm25.idf(docs.length)));
+    const scanUs = timeQueries(topicQueries.slice(0, 20), query =>
+      scanSearch(documents, service.tokenize(query), idf, service.bm25.avgDocLength)
+    );
+
+    console.log = log;
+    rows.push({ size, buildMs, topicUs, commonUs, scanUs });
+    log(`  ${size} chunks done`);
+  }
+
+  await fs.rm(path.join(os.tmpdir(), `bm25-bench-${process.pid}.json`), { force: true });
+
+  log('\n📊 BM25 query latency (µs per query, top 20)\n');
+  log('| Chunks | Build ms | Topic query | + common word | Full scan |');
+  log('|--------|----------|-------------|---------------|-----------|');
+  rows.forEach(({ size, buildMs, topicUs, commonUs, scanUs }) => {
+    log(`| ${size} | ${buildMs} | ${topicUs.toFixed(0)} | ${commonUs.toFixed(0)} | ${scanUs.toFixed(0)} |`);
+  });
+  log('\nTopic query: 3 topic words (~50 matching chunks at any size). "+ common word" adds a word');
+  log('found in ~90% of chunks, so its postings grow with the corpus.');
+}
+
+main().catch(error => {
+  console.error('❌ Benchmark failed:', error);
+  process.exit(1);
+});
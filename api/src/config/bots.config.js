@@ -0,0 +1,98 @@
+/**
+ * Bots Configuration
+ * Every bot served by the API has its own Qdrant collection, BM25 index,
+ * content sources and prompt defaults. Routes use the key as :botId
+ * (/chat/:botId, /ingest/:botId, /config/:botId)
+ */
+
+const bots = {
+  // Public marketing bot on knowella.com
+  knowella: {
+    name: 'Knowella AI assistant',
+    organization: 'Knowella',  // Who the bot answers about (LLM prompts, grounding fallback)
+    collection: 'knowella_pages',
+    bm25Index: 'bm25-index.json',
+
+    sources: {
+      // Main sitemap index URL
+      sitemapUrl: 'https://www.knowella.com/sitemap.xml',
+
+      // Which sub-sitemaps to include
+      // These contain the actual page URLs we want to scrape
+      includedSitemaps: [
+        'post-sitemap.xml',          // Blog posts (educational content)
+        'page-sitemap.xml'           // Static pages (about, services, pricing, etc.)
+      ],
+
+      // Which sub-sitemaps to skip
+      // These are usually just lists/archives with duplicate content
+      excludedSitemaps: [
+        'category-sitemap.xml',      // Category archive pages
+        'post_tag-sitemap.xml',      // Tag archive pages
+        'post-archive-sitemap.xml',  // Date-based archives
+        'ol_locator-sitemap.xml',    // Location pages (if any)
+        'portfolio-cat-sitemap.xml', // Portfolio categories
+        'pk_portfolio-sitemap.xml',  // Portfolio/case studies - EXCLUDED
+        'pk-portfolio-sitemap.xml'   // Portfolio alternate - EXCLUDED
+      ],
+
+      // Extra pages to ingest that are not in the sitemap
+      urls: []
+    },
+
+    // Prompt config defaults (overridden via PUT /config/knowella)
+    defaults: {}
+  }
+
+  // Example: customer-support bot with its own knowledge base
+  // support: {
+  //   name: 'Knowella Support assistant',
+  //   organization: 'Knowella',
+  //   collection: 'support_docs',
+  //   bm25Index: 'bm25-index-support.json',
+  //   sources: {
+  //     sitemapUrl: 'https://support.knowella.com/sitemap.xml',
+  //     includedSitemaps: ['page-sitemap.xml'],
+  //     excludedSitemaps: [],
+  //     urls: []
+  //   },
+  //   // Optional: BM25 analyzer overrides (defaults in ingestion.config.js)
+  //   analyzer: { protectedTerms: ['ai', 'sso', 'sla', 'mfa'] },
+  //   defaults: {
+  //     tone: 'patient and step-by-step',
+  //     rules: 'Help existing customers use the Knowella platform. Suggest contacting support for account issues.'
+  //   }
+  // }
+};
+
+const defaultBotId = 'knowella';
+
+/**
+ * Check whether a bot is configured
+ * @param {string} botId
+ * @returns {boolean}
+ */
+function hasBot(botId) {
+  return Object.prototype.hasOwnProperty.call(bots, botId);
+}
+
+/**
+ * Get a bot definition
+ * @param {string} botId
+ * @returns {object}
+ * @throws {Error} If the bot is not configured
+ */
+function getBot(botId) {
+  if (!hasBot(botId)) {
+    throw new Error(`Unknown bot "${botId}"`);
+  }
+  return { id: botId, ...bots[botId] };
+}
+
+module.exports = {
+  bots,
+  defaultBotId,
+  hasBot,
+  getBot,
+  botIds: Object.keys(bots)
+};
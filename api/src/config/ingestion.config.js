@@ -1,33 +1,10 @@
 /**
  * Ingestion Configuration
- * Controls what content is scraped from Knowella
+ * Controls how content is scraped and chunked
  */
 
 module.exports = {
-  // Knowella sitemap configuration
-  knowella: {
-    // Main sitemap index URL
-    sitemapUrl: 'https://www.knowella.com/sitemap.xml',
-    
-    // Which sub-sitemaps to include
-    // These contain the actual page URLs we want to scrape
-    includedSitemaps: [
-      'post-sitemap.xml',          // Blog posts (educational content)
-      'page-sitemap.xml'           // Static pages (about, services, pricing, etc.)
-    ],
-    
-    // Which sub-sitemaps to skip
-    // These are usually just lists/archives with duplicate content
-    excludedSitemaps: [
-      'category-sitemap.xml',      // Category archive pages
-      'post_tag-sitemap.xml',      // Tag archive pages
-      'post-archive-sitemap.xml',  // Date-based archives
-      'ol_locator-sitemap.xml',    // Location pages (if any)
-      'portfolio-cat-sitemap.xml', // Portfolio categories
-      'pk_portfolio-sitemap.xml',  // Portfolio/case studies - EXCLUDED
-      'pk-portfolio-sitemap.xml'   // Portfolio alternate - EXCLUDED
-    ]
-  },
+  // Per-bot content sources (sitemaps, extra URLs) live in bots.config.js
 
   // Chunking configuration
   chunking: {
@@ -42,6 +19,41 @@ module.exports = {
     timeout: 30000,        // 30 seconds per page
     retryAttempts: 3,      // Retry failed requests
     retryDelay: 2000,      // Wait 2s between retries
-    crawlDelay: 500        // Wait 500ms between pages (be polite!)
+    crawlDelay: 500,       // Wait 500ms between pages (be polite!)
+    defaultLanguage: 'en'  // When a page declares no <html lang>
+  },
+
+  // BM25F scoring: each chunk is indexed as separate fields. A term's frequency in
+  // a field is multiplied by `boost` and length-normalized with `b` (0 = off, 1 = full)
+  // against that field's average length. Read at startup; no rebuild needed to tune
+  // any setting in this block
+  bm25: {
+    k1: 1.5,
+    fields: {
+      title: { boost: 3, b: 0.5 },     // Page title (same for every chunk of a page)
+      heading: { boost: 1.5, b: 0.5 }, // Section heading (chunk's first sentence)
+      body: { boost: 1, b: 0.75 },     // Chunk text
+      url: { boost: 2, b: 0.3 }        // URL path words: /health-safety-management/
+    },
+    // Quoted phrase found verbatim: bonus of phraseBoost × the IDF sum of its terms
+    phraseBoost: 0.5,
+    // Consecutive query terms at most `window` positions apart: bonus of
+    // boost × their mean IDF / distance (adjacent terms get the full bonus)
+    proximity: { window: 5, boost: 0.3 }
+  },
+
+  // BM25 analyzer (utils/analyzer.js), applied to chunks and queries alike.
+  // A bot can override any field with its own `analyzer` in bots.config.js.
+  // Changing it makes saved BM25 indexes stale: they are rebuilt from Qdrant
+  analyzer: {
+    stemmer: 'porter',     // 'porter' or 'none'
+    lemmas: true,          // Irregular forms first: children → child, took → take
+    stopwords: 'full',     // 'full' (English list), 'minimal' (the old 30 words) or 'none'
+    minTokenLength: 3,     // Shorter tokens are dropped unless they contain a digit
+    // Kept as-is whatever their length: never stemmed or dropped
+    protectedTerms: [
+      'ai', 'ml', 'ar', 'vr', 'iot', 'roi', 'kpi', 'api', 'osha', 'ehs', 'hse', 'ppe',
+      'sds', 'iso', 'esg', 'hr', 'qa', 'lms', 'erp', 'crm', 'saas'
+    ]
   }
 };
@@ -7,146 +7,895 @@ const retrievalService = require('../services/retrieval.service');
 const llmService = require('../services/llm.service');
 const vectorStoreService = require('../services/vectorStore.service');
 const analyticsService = require('../services/analytics.service');
+const conversationService = require('../services/conversation.service');
+const groundingService = require('../services/grounding.service');
+const botConfigService = require('../services/botConfig.service');
+const answerCacheService = require('../services/answerCache.service');
+const pdfService = require('../services/pdf.service');
+const botsConfig = require('../config/bots.config');
+const questionParser = require('../utils/questionParser');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { normalizeFilters } = require('../utils/retrievalFilters');
 
 class ChatController {
   /**
-   * Handle chat request for Knowella bot
+   * Handle chat request for a bot (req.params.botId)
    * @param {object} req
    * @param {object} res
    */
-  async chatKnowella(req, res) {
+  async chat(req, res) {
+    // Clients that ask for an event stream get tokens as they are generated
+    if ((req.headers.accept || '').includes('text/event-stream')) {
+      return this.chatStream(req, res);
+    }
+
     const startTime = Date.now();
-    const { question, name, email, sessionId } = req.body;
+    const { question, sessionId } = req.body;
 
     // Validation
-    if (!question || typeof question !== 'string') {
-      return res.status(400).json({
-        error: 'Question is required and must be a string'
+    const validationError = this.validateChatRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      // Live bot settings (tone, rules, topK, model...) - one snapshot per request
+      const bot = this.getBotContext(req);
+
+      const messageId = this.trackQuery(req, bot.id);
+
+      // Step 0: Split multi-question input ("What do you offer? And which industries?")
+      const subQuestions = this.splitQuestion(question);
+
+      // Steps 1-5 per sub-question: resolve follow-ups, retrieve, generate, check grounding
+      const results = this.renumberResults(await this.answerSubQuestions(subQuestions, sessionId, bot));
+
+      const answer = questionParser.combineAnswers(results);
+      const citations = questionParser.mergeCitations(results);
+
+      conversationService.addTurn(this.getConversationId(bot, sessionId), question, answer);
+      
+      const elapsed = Date.now() - startTime;
+      console.log(`✅ Response generated in ${elapsed}ms\n`);
+
+      this.saveTranscript(messageId, bot, {
+        answer,
+        citations,
+        traces: results.map(r => r.trace),
+        latency: { total_ms: elapsed }
+      });
+      
+      // Step 5: Return response
+      const metadata = {
+        chunks_retrieved: results.reduce((sum, r) => sum + r.chunks_retrieved, 0),
+        history_turns: results[0].history_turns,
+        cached: results.every(r => r.cached),
+        elapsed_ms: elapsed
+      };
+
+      if (results.length > 1) {
+        metadata.questions = results.map(({ history_turns, trace, ...result }) => result);
+      } else {
+        metadata.standalone_question = results[0].standalone_question;
+        metadata.grounding = results[0].grounding;
+      }
+
+      res.json({ answer, citations, messageId, metadata });
+      
+    } catch (error) {
+      console.error('❌ Chat error:', error);
+      
+      res.status(500).json({
+        error: 'Failed to generate response',
+        message: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
+  }
 
-    if (question.trim().length < 3) {
-      return res.status(400).json({
-        error: 'Question is too short'
+  /**
+   * Run the RAG pipeline for a single question
+   * @param {string} question - Question shown to the LLM
+   * @param {object} [options]
+   * @param {string} [options.searchQuery] - Query used for retrieval (defaults to question)
+   * @param {Array} [options.history] - Prior turns to include in the prompt
+   * @param {{id: string, config: object}} [options.bot] - Bot context (defaults to the default bot)
+   * @param {boolean} [options.useCache] - Serve/store the answer from the semantic answer cache
+   *   (false for follow-ups, whose answer depends on the session)
+   * @returns {Promise<{answer: string, citations: Array, grounding: object|undefined, chunksRetrieved: number, trace: object, cached: boolean}>}
+   */
+  async answerQuestion(question, { searchQuery = question, history = [], bot = this.getBotContext(), useCache = true } = {}) {
+    const timings = {};
+
+    // Step 0: A close enough question was answered recently
+    if (useCache) {
+      const hit = await this.lookupCachedAnswer(question, bot);
+      if (hit) {
+        return {
+          ...hit.result,
+          trace: this.buildCachedTrace(question, searchQuery, hit, bot.filters),
+          cached: true
+        };
+      }
+    }
+
+    // Step 1: Retrieve relevant chunks
+    const retrievedChunks = await this.retrieveChunks(searchQuery, bot, timings);
+    const trace = this.buildTrace(question, searchQuery, retrievedChunks, timings, bot.filters);
+
+    // Step 2: Check if we have enough context
+    if (retrievedChunks.length === 0) {
+      return { answer: bot.config.fallbackMessage, citations: [], chunksRetrieved: 0, trace, cached: false };
+    }
+
+    // Step 3: Generate response using LLM
+    let stepStart = Date.now();
+    const generated = await llmService.generateRAGResponse(
+      question,
+      retrievedChunks,
+      bot.config,
+      { history }
+    );
+    timings.llm_ms = Date.now() - stepStart;
+
+    // Step 4: Check the answer is supported by the chunks
+    stepStart = Date.now();
+    const { answer, citations, grounding } = await this.checkGrounding(generated, retrievedChunks, bot);
+    timings.grounding_ms = Date.now() - stepStart;
+
+    if (useCache) {
+      this.storeCachedAnswer(question, bot, { answer, citations, grounding, chunksRetrieved: retrievedChunks.length });
+    }
+
+    return { answer, citations, grounding, chunksRetrieved: retrievedChunks.length, trace, cached: false };
+  }
+
+  /**
+   * Answer cache entries are only shared by requests with the same bot
+   * config version, index generation (no answers from deleted content) and filters
+   * @param {{id: string, version: number, filters: object|null}} bot
+   * @returns {string}
+   */
+  getAnswerCacheScope(bot) {
+    const generation = retrievalService.forBot(bot.id).getIndexGeneration();
+    return `v${bot.version}:g${generation}:${JSON.stringify(bot.filters)}`;
+  }
+
+  /**
+   * Look up a question in the bot's semantic answer cache
+   * @param {string} question
+   * @param {{id: string, config: object, version: number, filters: object|null}} bot
+   * @returns {Promise<object|null>} See AnswerCacheService.lookup
+   */
+  async lookupCachedAnswer(question, bot) {
+    if (!(bot.config.answerCacheTtl > 0)) return null;
+    return answerCacheService.forBot(bot.id).lookup(question, this.getAnswerCacheScope(bot));
+  }
+
+  /**
+   * Cache a final answer (fallback answers are not cached: new content may answer them)
+   * Runs in the background; failures are logged by the cache
+   * @param {string} question
+   * @param {{id: string, config: object, version: number, filters: object|null}} bot
+   * @param {{answer: string, citations: Array, grounding: object|undefined, chunksRetrieved: number}} result
+   */
+  storeCachedAnswer(question, bot, result) {
+    if (result.chunksRetrieved === 0 || result.answer === bot.config.fallbackMessage) return;
+
+    answerCacheService.forBot(bot.id)
+      .store(question, this.getAnswerCacheScope(bot), result, bot.config.answerCacheTtl)
+      .catch(error => console.error('❌ Error caching answer:', error.message));
+  }
+
+  /**
+   * Retrieval trace for an answer served from the answer cache
+   * @param {string} question
+   * @param {string} searchQuery
+   * @param {{question: string, similarity: number}} hit
+   * @param {object|null} filters
+   * @returns {object}
+   */
+  buildCachedTrace(question, searchQuery, hit, filters) {
+    return {
+      ...this.buildTrace(question, searchQuery, [], {}, filters),
+      no_context: false,
+      answer_cache: { question: hit.question, similarity: hit.similarity }
+    };
+  }
+
+  /**
+   * Retrieval trace for one question (stored with the transcript)
+   * @param {string} question
+   * @param {string} searchQuery
+   * @param {Array} retrievedChunks
+   * @param {object} timings - Step durations, filled in as the pipeline runs
+   * @param {object|null} [filters] - Metadata filters the retrieval was scoped to
+   * @returns {object}
+   */
+  buildTrace(question, searchQuery, retrievedChunks, timings, filters = null) {
+    return {
+      question,
+      search_query: searchQuery,
+      query_strategy: timings.query_strategy,
+      hyde: timings.hyde,
+      filters,
+      chunks: retrievedChunks.map(c => ({
+        id: c.id,
+        score: Math.round(c.score * 1000) / 1000,
+        semantic_score: c.semantic_score,
+        bm25_score: c.bm25_score,
+        rerank_score: c.rerank_score,
+        expanded: c.expanded ? [c.expanded.from, c.expanded.to] : undefined,
+        url: c.url
+      })),
+      no_context: retrievedChunks.length === 0,
+      timings
+    };
+  }
+
+  /**
+   * Store answer, citations and retrieval traces for a logged query
+   * (analyticsService skips this unless ANALYTICS_STORE_TRANSCRIPTS=true)
+   * @param {number|null} messageId
+   * @param {{id: string, config: object}} bot
+   * @param {object} transcript
+   * @param {string} transcript.answer
+   * @param {Array} transcript.citations
+   * @param {Array<object>} transcript.traces - One per (sub-)question, from buildTrace()
+   * @param {object} transcript.latency - Request-level timings (total_ms, first_token_ms...)
+   */
+  saveTranscript(messageId, bot, { answer, citations, traces, latency }) {
+    // Step timings summed over sub-questions
+    const stepLatency = {};
+    traces.forEach(({ timings }) => {
+      Object.entries(timings).forEach(([step, ms]) => {
+        if (typeof ms === 'number') {
+          stepLatency[step] = (stepLatency[step] || 0) + ms;
+        }
       });
+    });
+
+    analyticsService.logTranscript(messageId, {
+      answer,
+      citations,
+      retrieval: traces.map(({ timings, ...trace }) => ({ ...trace, cached: timings.cached === true })),
+      provider: llmService.provider,
+      model: llmService.getModelName(bot.config.model),
+      latency: { ...stepLatency, ...latency },
+      noContext: traces.some(t => t.no_context)
+    });
+  }
+
+  /**
+   * Validate an answer against its chunks; optionally swap poorly grounded
+   * answers for the safe fallback (GROUNDING_REPLACE_UNGROUNDED=true)
+   * @param {{answer: string, citations: Array}} generated
+   * @param {Array} retrievedChunks
+   * @param {{id: string, organization: string}} bot - Its BM25 analyzer tokenizes the
+   *   claim checks; its organization is named in the fallback answer
+   * @returns {Promise<{answer: string, citations: Array, grounding: object|undefined}>}
+   */
+  async checkGrounding({ answer, citations }, retrievedChunks, bot) {
+    if (!groundingService.enabled) {
+      return { answer, citations, grounding: undefined };
     }
 
-    // Validate user info (required for analytics)
-    if (!name || !email || !sessionId) {
-      return res.status(400).json({
-        error: 'User information required (name, email, sessionId)'
+    const grounding = await groundingService.validate(answer, retrievedChunks, retrievalService.forBot(bot.id).bm25.analyzer);
+
+    if (!grounding.grounded) {
+      console.warn(`  ⚠️  Poorly grounded answer (score: ${grounding.score}), unsupported: ${grounding.unsupported.map(u => u.text).join(' | ')}`);
+
+      if (groundingService.replaceUngrounded) {
+        return {
+          answer: groundingService.getFallbackAnswer(bot.organization),
+          citations: [],
+          grounding: { ...grounding, replaced: true }
+        };
+      }
+    }
+
+    return { answer, citations, grounding };
+  }
+
+  /**
+   * Answer each sub-question separately (own follow-up resolution and retrieval)
+   * @param {Array<string>} subQuestions
+   * @param {string} sessionId
+   * @param {{id: string, config: object}} bot
+   * @returns {Promise<Array<{question: string, answer: string, citations: Array, chunks_retrieved: number, standalone_question: string|undefined, history_turns: number, cached: boolean}>>}
+   */
+  async answerSubQuestions(subQuestions, sessionId, bot) {
+    if (subQuestions.length > 1) {
+      console.log(`  ✂️  Split into ${subQuestions.length} questions`);
+    }
+
+    return mapWithConcurrency(subQuestions, this.getSubQuestionConcurrency(), async (subQuestion) => {
+      const { history, searchQuery, isFollowUp } = await this.resolveQuestion(subQuestion, this.getConversationId(bot, sessionId), bot);
+
+      const { answer, citations, grounding, chunksRetrieved, trace, cached } = await this.answerQuestion(subQuestion, {
+        searchQuery,
+        history,
+        bot,
+        useCache: !isFollowUp
       });
+
+      return {
+        question: subQuestion,
+        answer,
+        citations,
+        grounding,
+        chunks_retrieved: chunksRetrieved,
+        standalone_question: searchQuery !== subQuestion ? searchQuery : undefined,
+        history_turns: history.length,
+        cached,
+        trace
+      };
+    });
+  }
+
+  /**
+   * Make [n] markers unique across a multi-question answer (single answers are left as-is)
+   * @param {Array} results
+   * @returns {Array}
+   */
+  renumberResults(results) {
+    return results.length > 1 ? questionParser.renumberCitations(results) : results;
+  }
+
+  /**
+   * Retrieve chunks for a search query from the bot's knowledge base
+   * (topK/threshold/reranker/fusion/expansion/strategy/diversity/context from bot config, scoped by the request's filters)
+   * @param {string} searchQuery
+   * @param {{id: string, config: object, filters: object|null}} bot
+   * @param {object} [timings] - Filled with retrieval step durations
+   * @param {object|null} [explain] - Filled with every retrieval step's intermediate results
+   * @param {object} [options]
+   * @param {boolean} [options.keywordOperators] - Read +required/-excluded clauses (admin searches)
+   * @returns {Promise<Array>}
+   */
+  async retrieveChunks(searchQuery, bot, timings = {}, explain = null, { keywordOperators = false } = {}) {
+    const {
+      topK, similarityThreshold, reranker, rerankCandidates,
+      fusionMode, rrfK, semanticWeight, minSemanticScore, minBm25Score,
+      expansionTerms, synonyms, multiQuery, queryStrategy, mmrLambda, maxChunksPerUrl,
+      contextNeighbours, contextFullPageChunks, contextMaxTokens
+    } = bot.config;
+
+    return retrievalService.forBot(bot.id).retrieve(searchQuery, topK, similarityThreshold, {
+      timings,
+      reranker,
+      rerankCandidates,
+      fusion: { mode: fusionMode, rrfK, semanticWeight, minSemanticScore, minBm25Score },
+      filters: bot.filters,
+      expansion: { terms: expansionTerms, synonyms, multiQuery },
+      diversity: { lambda: mmrLambda, maxPerUrl: maxChunksPerUrl },
+      context: { neighbours: contextNeighbours, fullPageChunks: contextFullPageChunks, maxTokens: contextMaxTokens },
+      queryStrategy,
+      explain,
+      keywordOperators,
+      llm: { organization: bot.organization, model: bot.config.model }
+    });
+  }
+
+  /**
+   * Bot for this request (req.params.botId, validated by the route) with a
+   * snapshot of its live config (and its version), who it answers about
+   * (organization, for LLM prompts) and the request's retrieval filters
+   * @param {object} [req]
+   * @param {string} [botId] - Bot id when it isn't a route parameter
+   * @returns {{id: string, organization: string, config: object, version: number, filters: object|null}}
+   */
+  getBotContext(req, botId = req && req.params && req.params.botId) {
+    const id = botId || botsConfig.defaultBotId;
+    const { organization } = botsConfig.getBot(id);
+    const { config, version } = botConfigService.getCurrent(id);
+    const filters = req && req.body ? this.readFilters(req.body).filters : null;
+    return { id, organization, config, version, filters };
+  }
+
+  /**
+   * Optional "filters" field of a chat request (urlPrefix, contentType,
+   * sourceId, language, crawledAfter, crawledBefore). Multipart requests
+   * (PDF upload) send it as a JSON string
+   * @param {object} body
+   * @returns {{filters: object|null, errors: Array<string>}}
+   */
+  readFilters(body) {
+    let raw = body.filters;
+
+    if (typeof raw === 'string') {
+      try {
+        raw = JSON.parse(raw);
+      } catch (error) {
+        return { filters: null, errors: ['filters must be valid JSON'] };
+      }
     }
 
+    return normalizeFilters(raw);
+  }
+
+  /**
+   * Conversation memory key: the same widget session talking to two bots
+   * keeps two separate histories
+   * @param {{id: string}} bot
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  getConversationId(bot, sessionId) {
+    return `${bot.id}:${sessionId}`;
+  }
+
+  /**
+   * Split a chat message into sub-questions, capped at CHAT_MAX_SUB_QUESTIONS
+   * (extra questions are folded into the last one rather than dropped)
+   * @param {string} question
+   * @returns {Array<string>}
+   */
+  splitQuestion(question) {
+    const maxSubQuestions = parseInt(process.env.CHAT_MAX_SUB_QUESTIONS, 10) || 4;
+    const subQuestions = questionParser.splitQuestions(question);
+
+    if (subQuestions.length <= maxSubQuestions) {
+      return subQuestions;
+    }
+
+    const kept = subQuestions.slice(0, maxSubQuestions - 1);
+    kept.push(subQuestions.slice(maxSubQuestions - 1).join(' '));
+    return kept;
+  }
+
+  /**
+   * Max sub-questions answered in parallel
+   * Local Ollama on CPU serializes generation anyway, so default to 1 there
+   * @returns {number}
+   */
+  getSubQuestionConcurrency() {
+    const configured = parseInt(process.env.CHAT_SUB_QUESTION_CONCURRENCY, 10);
+    if (configured > 0) return configured;
+
+    return llmService.provider === 'groq' ? 3 : 1;
+  }
+
+  /**
+   * Answer every question in an uploaded PDF questionnaire
+   * Expects multipart/form-data with a "file" field (parsed by multer).
+   * Returns JSON, or a Markdown answer document when ?format=markdown
+   * @param {object} req
+   * @param {object} res
+   */
+  async chatPDF(req, res) {
+    const startTime = Date.now();
+
     try {
-      // Extract IP address (supporting various proxy headers)
-      const ipAddress = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
-        || req.headers['x-real-ip']
-        || req.socket.remoteAddress
-        || req.connection.remoteAddress
-        || 'unknown';
+      pdfService.validatePDF(req.file);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-      const userAgent = req.headers['user-agent'] || 'unknown';
+    const { errors: filterErrors } = this.readFilters(req.body || {});
+    if (filterErrors.length > 0) {
+      return res.status(400).json({ error: `Invalid filters: ${filterErrors.join('; ')}` });
+    }
 
-      // Track user session (create or update)
-      try {
-        analyticsService.createOrUpdateSession(
-          sessionId,
-          name,
-          email,
-          ipAddress,
-          userAgent
-        );
+    try {
+      const { questions } = await pdfService.parseQuestionsFromPDF(req.file.buffer);
 
-        // Log the user's query (question only, not bot response)
-        analyticsService.logQuery(sessionId, question);
+      if (questions.length === 0) {
+        return res.status(422).json({
+          error: 'No questions found in PDF'
+        });
+      }
 
-        console.log(`\n💬 Question from ${name} (${email}): "${question}"`);
-      } catch (analyticsError) {
-        // Don't fail the request if analytics fails
-        console.error('Analytics tracking error:', analyticsError);
+      const maxQuestions = parseInt(process.env.PDF_MAX_QUESTIONS, 10) || 50;
+      if (questions.length > maxQuestions) {
+        return res.status(422).json({
+          error: `PDF contains ${questions.length} questions (max ${maxQuestions})`
+        });
       }
-      
-      // Step 1: Retrieve relevant chunks (configurable via env)
-      const topK = parseInt(process.env.CHAT_TOP_K, 10) || 8;
-      const similarityThreshold = parseFloat(process.env.CHAT_SIMILARITY_THRESHOLD) || 0.28;
-      const retrievedChunks = await retrievalService.retrieve(
-        question,
-        topK,
-        similarityThreshold
-      );
-      
-      // Step 2: Check if we have enough context
-      if (retrievedChunks.length === 0) {
-        return res.json({
-          answer: "I don't have enough information to answer that question based on Knowella's content. Could you try rephrasing or ask something else about Knowella?",
-          citations: [],
-          metadata: {
+
+      console.log(`\n📄 PDF "${req.file.originalname}": answering ${questions.length} questions...`);
+
+      // One question at a time by default - parallel prompts just queue up on CPU Ollama
+      const concurrency = parseInt(process.env.PDF_CONCURRENCY, 10) || 1;
+      const bot = this.getBotContext(req);
+
+      const answered = await mapWithConcurrency(questions, concurrency, async (question, index) => {
+        try {
+          const { answer, citations, grounding, chunksRetrieved } = await this.answerQuestion(question, { bot });
+          console.log(`  ✓ ${index + 1}/${questions.length}`);
+          return { question, answer, citations, grounding, chunks_retrieved: chunksRetrieved };
+        } catch (error) {
+          console.error(`  ❌ Question ${index + 1} failed:`, error.message);
+          return {
+            question,
+            answer: 'An error occurred while answering this question.',
+            citations: [],
             chunks_retrieved: 0,
-            elapsed_ms: Date.now() - startTime
-          }
+            error: true
+          };
+        }
+      });
+
+      const results = this.renumberResults(answered);
+
+      const elapsed = Date.now() - startTime;
+      console.log(`✅ PDF answered in ${elapsed}ms\n`);
+
+      if (req.query.format === 'markdown') {
+        const document = pdfService.buildAnswerDocument(req.file.originalname, results);
+        const filename = req.file.originalname.replace(/\.pdf$/i, '') + '-answers.md';
+
+        res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/"/g, '')}"`);
+        return res.send(document);
+      }
+
+      res.json({
+        answer: questionParser.combineAnswers(results),
+        citations: questionParser.mergeCitations(results),
+        results,
+        metadata: {
+          filename: req.file.originalname,
+          question_count: questions.length,
+          failed: results.filter(r => r.error).length,
+          elapsed_ms: elapsed
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ PDF chat error:', error);
+
+      res.status(500).json({
+        error: 'Failed to process PDF',
+        message: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Handle chat request for a bot as Server-Sent Events
+   * Emits: "metadata" (retrieval info + sources), "token" (answer fragments),
+   * "done" (final answer, citations, timing) or "error"
+   * @param {object} req
+   * @param {object} res
+   */
+  async chatStream(req, res) {
+    const startTime = Date.now();
+    const { question, sessionId } = req.body;
+
+    // Validation errors are still plain JSON (stream not opened yet)
+    const validationError = this.validateChatRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'   // Disable nginx proxy buffering
+    });
+
+    const sendEvent = (event, data) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop generating if the visitor closes the widget mid-answer
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    try {
+      const bot = this.getBotContext(req);
+      const botConfig = bot.config;
+      const conversationId = this.getConversationId(bot, sessionId);
+
+      const messageId = this.trackQuery(req, bot.id);
+
+      // Step 0: Split multi-question input
+      const subQuestions = this.splitQuestion(question);
+
+      // Step 1: Resolve follow-ups and retrieve chunks for every sub-question up front
+      // (or take its answer from the answer cache)
+      const parts = [];
+      for (const subQuestion of subQuestions) {
+        const { history, searchQuery, isFollowUp } = await this.resolveQuestion(subQuestion, conversationId, bot);
+
+        const hit = isFollowUp ? null : await this.lookupCachedAnswer(subQuestion, bot);
+        if (hit) {
+          parts.push({
+            question: subQuestion,
+            searchQuery,
+            history,
+            isFollowUp,
+            retrievedChunks: [],
+            cached: hit.result,
+            trace: this.buildCachedTrace(subQuestion, searchQuery, hit, bot.filters)
+          });
+          continue;
+        }
+
+        const timings = {};
+        const retrievedChunks = await this.retrieveChunks(searchQuery, bot, timings);
+        parts.push({
+          question: subQuestion,
+          searchQuery,
+          history,
+          isFollowUp,
+          retrievedChunks,
+          trace: this.buildTrace(subQuestion, searchQuery, retrievedChunks, timings, bot.filters)
         });
       }
-      
-      // Step 3: Get bot configuration (default for now, will add WP settings later)
-      const botConfig = this.getDefaultBotConfig();
-      
-      // Step 4: Generate response using LLM
-      const { answer, citations } = await llmService.generateRAGResponse(
-        question,
-        retrievedChunks,
-        botConfig
-      );
-      
+
+      const retrievalMs = Date.now() - startTime;
+      const isMulti = parts.length > 1;
+      const chunksRetrieved = parts.reduce((sum, p) => sum + p.retrievedChunks.length, 0);
+
+      // Step 2: Send retrieval metadata and sources before generation starts
+      const metadata = {
+        chunks_retrieved: chunksRetrieved,
+        history_turns: parts[0].history.length,
+        cached: parts.every(p => p.cached),
+        retrieval_ms: retrievalMs
+      };
+
+      // Sources describe each [n] context block; multi-question sections number their own blocks
+      if (isMulti) {
+        metadata.questions = parts.map(p => ({
+          question: p.question,
+          chunks_retrieved: p.retrievedChunks.length,
+          standalone_question: p.searchQuery !== p.question ? p.searchQuery : undefined,
+          sources: llmService.buildSources(p.retrievedChunks)
+        }));
+      } else {
+        metadata.sources = llmService.buildSources(parts[0].retrievedChunks);
+        metadata.standalone_question = parts[0].searchQuery !== question ? parts[0].searchQuery : undefined;
+      }
+
+      sendEvent('metadata', metadata);
+
+      // Step 3: Stream each answer in turn (sectioned like questionParser.combineAnswers)
+      let firstTokenMs = null;
+      const results = [];
+
+      const emit = (text) => {
+        if (firstTokenMs === null) firstTokenMs = Date.now() - startTime;
+        sendEvent('token', { text });
+      };
+
+      for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+
+        if (isMulti) {
+          emit((i > 0 ? questionParser.SECTION_SEPARATOR : '') + questionParser.formatSectionHeader(part.question, i));
+        }
+
+        if (part.cached) {
+          emit(part.cached.answer);
+          results.push({ question: part.question, answer: part.cached.answer, citations: part.cached.citations, grounding: part.cached.grounding });
+          continue;
+        }
+
+        if (part.retrievedChunks.length === 0) {
+          emit(botConfig.fallbackMessage);
+          results.push({ question: part.question, answer: botConfig.fallbackMessage, citations: [] });
+          continue;
+        }
+
+        const llmStart = Date.now();
+        const generated = await llmService.generateRAGResponseStream(
+          part.question,
+          part.retrievedChunks,
+          botConfig,
+          {
+            history: part.history,
+            onToken: emit,
+            signal: abortController.signal
+          }
+        );
+
+        part.trace.timings.llm_ms = Date.now() - llmStart;
+
+        // Tokens are already out; a replaced answer only shows up in "done", whose answer the client must display
+        const groundingStart = Date.now();
+        const { answer, citations, grounding } = await this.checkGrounding(generated, part.retrievedChunks, bot);
+        part.trace.timings.grounding_ms = Date.now() - groundingStart;
+
+        if (!part.isFollowUp) {
+          this.storeCachedAnswer(part.question, bot, { answer, citations, grounding, chunksRetrieved: part.retrievedChunks.length });
+        }
+
+        results.push({ question: part.question, answer, citations, grounding });
+      }
+
+      const renumbered = this.renumberResults(results);
+      const answer = questionParser.combineAnswers(renumbered);
+      const citations = questionParser.mergeCitations(renumbered);
+
+      conversationService.addTurn(conversationId, question, answer);
+
       const elapsed = Date.now() - startTime;
-      console.log(`✅ Response generated in ${elapsed}ms\n`);
-      
-      // Step 5: Return response
-      res.json({
+      console.log(`✅ Streamed response in ${elapsed}ms (first token: ${firstTokenMs}ms)\n`);
+
+      this.saveTranscript(messageId, bot, {
         answer,
         citations,
+        traces: parts.map(p => p.trace),
+        latency: { first_token_ms: firstTokenMs, total_ms: elapsed }
+      });
+
+      // Step 4: Final event with the complete answer and timing
+      sendEvent('done', {
+        answer,
+        citations,
+        messageId,
         metadata: {
-          chunks_retrieved: retrievedChunks.length,
+          chunks_retrieved: chunksRetrieved,
+          grounding: isMulti ? renumbered.map(r => r.grounding) : renumbered[0].grounding,
+          retrieval_ms: retrievalMs,
+          first_token_ms: firstTokenMs,
           elapsed_ms: elapsed
         }
       });
-      
+      res.end();
+
     } catch (error) {
-      console.error('❌ Chat error:', error);
-      
-      res.status(500).json({
+      if (abortController.signal.aborted) {
+        console.log('⚠️  Client disconnected, stream aborted');
+        return;
+      }
+
+      console.error('❌ Chat stream error:', error);
+
+      sendEvent('error', {
         error: 'Failed to generate response',
         message: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
+      res.end();
     }
   }
 
   /**
-   * Get default bot configuration
-   * Later this will be loaded from WordPress settings
-   * @returns {object}
+   * Load the session's recent turns and, for follow-ups, rewrite the question
+   * into a standalone query for retrieval
+   * @param {string} question
+   * @param {string} conversationId - See getConversationId()
+   * @param {{organization: string, config: object}} bot - Names the subject and model of the rewrite
+   * @returns {Promise<{history: Array, searchQuery: string, isFollowUp: boolean}>}
    */
-  getDefaultBotConfig() {
-    return {
-      tone: 'helpful, professional, and friendly',
-      rules: 'Keep answers concise and relevant. Focus on Knowella\'s AI-powered productivity solutions.',
-      disclaimer: 'This information is based on Knowella\'s website content. For specific inquiries, please contact Knowella directly.'
-    };
+  async resolveQuestion(question, conversationId, bot) {
+    const history = conversationService.getRecentTurns(conversationId);
+
+    if (history.length === 0 || !conversationService.isFollowUp(question)) {
+      return { history, searchQuery: question, isFollowUp: false };
+    }
+
+    const searchQuery = await llmService.rewriteQuestion(question, history, { organization: bot.organization, model: bot.config.model });
+    if (searchQuery !== question) {
+      console.log(`  🔁 Follow-up rewritten: "${searchQuery}"`);
+    }
+
+    return { history, searchQuery, isFollowUp: true };
   }
 
   /**
-   * Get chat statistics
+   * Validate chat request body
+   * @param {object} body
+   * @returns {string|null} Error message, or null if valid
+   */
+  validateChatRequest(body) {
+    const { question, name, email, sessionId } = body;
+
+    if (!question || typeof question !== 'string') {
+      return 'Question is required and must be a string';
+    }
+
+    if (question.trim().length < 3) {
+      return 'Question is too short';
+    }
+
+    // Validate user info (required for analytics)
+    if (!name || !email || !sessionId) {
+      return 'User information required (name, email, sessionId)';
+    }
+
+    const { errors } = this.readFilters(body);
+    if (errors.length > 0) {
+      return `Invalid filters: ${errors.join('; ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Track user session and log the question (never fails the request)
+   * @param {object} req
+   * @param {string} botId - Analytics partition
+   * @returns {number|null} Logged query id (exposed as messageId for feedback)
+   */
+  trackQuery(req, botId) {
+    const { question, name, email, sessionId } = req.body;
+
+    // Extract IP address (supporting various proxy headers)
+    const ipAddress = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
+      || req.headers['x-real-ip']
+      || req.socket.remoteAddress
+      || req.connection.remoteAddress
+      || 'unknown';
+
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    // Track user session (create or update)
+    try {
+      analyticsService.createOrUpdateSession(
+        sessionId,
+        name,
+        email,
+        ipAddress,
+        userAgent
+      );
+
+      // Log the user's query (question only, not bot response)
+      const { queryId } = analyticsService.logQuery(sessionId, question, botId);
+
+      console.log(`\n💬 [${botId}] Question from ${name} (${email}): "${question}"`);
+      return Number(queryId);
+    } catch (analyticsError) {
+      // Don't fail the request if analytics fails
+      console.error('Analytics tracking error:', analyticsError);
+      return null;
+    }
+  }
+
+  /**
+   * Record thumbs up/down feedback for an answer
+   * Body: { messageId, sessionId, rating: 'up'|'down', reason?, comment? }
+   * @param {object} req
+   * @param {object} res
+   */
+  submitFeedback(req, res) {
+    const { messageId, sessionId, rating, reason, comment } = req.body;
+
+    if (!Number.isInteger(messageId) || !sessionId) {
+      return res.status(400).json({ error: 'messageId (integer) and sessionId are required' });
+    }
+
+    try {
+      const result = analyticsService.recordFeedback(messageId, sessionId, { rating, reason, comment });
+      console.log(`${rating === 'up' ? '👍' : '👎'} Feedback on message ${messageId}${reason ? ` (${reason})` : ''}`);
+      res.json(result);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      console.error('❌ Feedback error:', error);
+      res.status(500).json({ error: 'Failed to record feedback' });
+    }
+  }
+
+  /**
+   * Get chat statistics for a bot (?botId=, default knowella)
    * @param {object} req 
    * @param {object} res 
    */
   async getStats(req, res) {
+    const botId = req.query.botId || botsConfig.defaultBotId;
+
+    if (!botsConfig.hasBot(botId)) {
+      return res.status(404).json({ error: `Unknown bot "${botId}"` });
+    }
+
     try {
-      const vectorStats = await vectorStoreService.getStats();
-      const cacheStats = retrievalService.getCacheStats();
+      const vectorStats = await vectorStoreService.forBot(botId).getStats();
+      const cacheStats = retrievalService.forBot(botId).getCacheStats();
       
       res.json({
+        botId,
         vector_store: vectorStats,
-        retrieval_cache: cacheStats
+        bm25: retrievalService.forBot(botId).bm25.getStats(),
+        retrieval_cache: cacheStats,
+        answer_cache: answerCacheService.forBot(botId).getStats(),
+        conversations: conversationService.getStats()
       });
       
     } catch (error) {
@@ -155,13 +904,166 @@ class ChatController {
   }
 
   /**
-   * Clear retrieval cache
+   * Check an admin search request body ({ question, botId?, filters? })
+   * @param {object} body
+   * @returns {{status: number, error: string}|null} The error to send, if any
+   */
+  checkSearchRequest(body) {
+    const { question, botId = botsConfig.defaultBotId } = body;
+
+    if (!question || typeof question !== 'string' || question.trim().length < 3) {
+      return { status: 400, error: 'Question is required and must be at least 3 characters' };
+    }
+
+    if (!botsConfig.hasBot(botId)) {
+      return { status: 404, error: `Unknown bot "${botId}"` };
+    }
+
+    const { errors } = this.readFilters(body);
+    if (errors.length > 0) {
+      return { status: 400, error: `Invalid filters: ${errors.join('; ')}` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Final chunks of an admin search: trace fields plus title and a text excerpt
+   * @param {string} question
+   * @param {Array} chunks - From retrieveChunks
+   * @param {object} timings
+   * @param {object|null} filters
+   * @returns {Array<object>}
+   */
+  searchResults(question, chunks, timings, filters) {
+    return this.buildTrace(question, question, chunks, timings, filters).chunks.map((chunk, i) => ({
+      ...chunk,
+      title: chunks[i].title,
+      text: llmService.truncate(chunks[i].text, 300)
+    }));
+  }
+
+  /**
+   * Run a bot's chat retrieval for a question and return the final chunks,
+   * without generating an answer (body: { question, botId?, filters? }).
+   * The question may use keyword syntax: "quoted phrase", +required, -excluded
+   * @param {object} req
+   * @param {object} res
+   */
+  async search(req, res) {
+    const invalid = this.checkSearchRequest(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const { question, botId = botsConfig.defaultBotId } = req.body;
+
+    try {
+      const bot = this.getBotContext(req, botId);
+      const startTime = Date.now();
+      const timings = {};
+      const chunks = await this.retrieveChunks(question, bot, timings, null, { keywordOperators: true });
+
+      res.json({
+        botId: bot.id,
+        config_version: bot.version,
+        question,
+        filters: bot.filters,
+        results: this.searchResults(question, chunks, timings, bot.filters),
+        timings,
+        elapsed_ms: Date.now() - startTime
+      });
+
+    } catch (error) {
+      console.error('❌ Search error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Run a bot's chat retrieval for a question and report every step, without
+   * generating an answer (body: { question, botId?, filters? }).
+   * The question is searched as given: no follow-up rewriting or splitting.
+   * It may use keyword syntax: "quoted phrase", +required, -excluded
+   * @param {object} req
+   * @param {object} res
+   */
+  async explainSearch(req, res) {
+    const invalid = this.checkSearchRequest(req.body);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const { question, botId = botsConfig.defaultBotId } = req.body;
+
+    try {
+      const bot = this.getBotContext(req, botId);
+      const { config } = bot;
+      const startTime = Date.now();
+
+      const answerCache = config.answerCacheTtl > 0
+        ? await answerCacheService.forBot(bot.id).peek(question, this.getAnswerCacheScope(bot))
+        : { status: 'disabled' };
+
+      const timings = {};
+      const explain = {};
+      const chunks = await this.retrieveChunks(question, bot, timings, explain, { keywordOperators: true });
+
+      res.json({
+        botId: bot.id,
+        config_version: bot.version,
+        question,
+        filters: bot.filters,
+        settings: {
+          topK: config.topK,
+          similarityThreshold: config.similarityThreshold,
+          reranker: config.reranker,
+          rerankCandidates: config.rerankCandidates,
+          fusionMode: config.fusionMode,
+          minSemanticScore: config.minSemanticScore,
+          minBm25Score: config.minBm25Score,
+          queryStrategy: config.queryStrategy,
+          multiQuery: config.multiQuery,
+          mmrLambda: config.mmrLambda,
+          maxChunksPerUrl: config.maxChunksPerUrl
+        },
+        cache: { answer: answerCache, retrieval: explain.cache },
+        query: { ...explain.query, variants: timings.query_variants },
+        semantic: explain.semantic,
+        bm25: explain.bm25,
+        fusion: explain.fusion,
+        candidates: explain.candidates,
+        results: this.searchResults(question, chunks, timings, bot.filters),
+        timings,
+        elapsed_ms: Date.now() - startTime
+      });
+
+    } catch (error) {
+      console.error('❌ Search explain error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Clear retrieval and answer caches (?botId= for one bot, default every bot)
    * @param {object} req 
    * @param {object} res 
    */
   clearCache(req, res) {
-    retrievalService.clearCache();
-    res.json({ success: true, message: 'Cache cleared' });
+    const botId = req.query.botId;
+
+    if (botId && !botsConfig.hasBot(botId)) {
+      return res.status(404).json({ error: `Unknown bot "${botId}"` });
+    }
+
+    const botIds = botId ? [botId] : botsConfig.botIds;
+
+    botIds.forEach(id => {
+      retrievalService.forBot(id).clearCache();
+      answerCacheService.forBot(id).clear();
+    });
+
+    res.json({ success: true, botIds, message: 'Cache cleared' });
   }
 }
 
@@ -0,0 +1,85 @@
+/**
+ * Config Controller
+ * Admin API for reading and updating bot settings
+ */
+
+const botConfigService = require('../services/botConfig.service');
+
+class ConfigController {
+  /**
+   * Get the live bot configuration
+   * @param {object} req
+   * @param {object} res
+   */
+  getConfig(req, res) {
+    try {
+      res.json(botConfigService.getCurrent(req.params.botId));
+    } catch (error) {
+      console.error('❌ Error reading bot config:', error);
+      res.status(500).json({ error: 'Failed to read bot configuration' });
+    }
+  }
+
+  /**
+   * Public widget texts of a bot (no admin token: the chat widget reads them
+   * on load, so only fields meant for site visitors are included)
+   * @param {object} req
+   * @param {object} res
+   */
+  getWidgetSettings(req, res) {
+    try {
+      const { version, config } = botConfigService.getCurrent(req.params.botId);
+      res.json({
+        botId: req.params.botId,
+        version,
+        assistantName: config.assistantName,
+        welcomeText: config.welcomeText,
+        disclaimer: config.disclaimer
+      });
+    } catch (error) {
+      console.error('❌ Error reading widget settings:', error);
+      res.status(500).json({ error: 'Failed to read widget settings' });
+    }
+  }
+
+  /**
+   * Update bot configuration (partial: omitted fields keep their value)
+   * Creates a new version; the chat pipeline uses it from the next request
+   * @param {object} req
+   * @param {object} res
+   */
+  updateConfig(req, res) {
+    try {
+      const updatedBy = req.headers['x-admin-user'] || null;
+      const current = botConfigService.updateConfig(req.params.botId, req.body, updatedBy);
+      res.json(current);
+    } catch (error) {
+      if (error.details) {
+        return res.status(400).json({ error: error.message, details: error.details });
+      }
+
+      console.error('❌ Error updating bot config:', error);
+      res.status(500).json({ error: 'Failed to update bot configuration' });
+    }
+  }
+
+  /**
+   * Get previous versions of the bot configuration (newest first)
+   * @param {object} req
+   * @param {object} res
+   */
+  getHistory(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      res.json({
+        botId: req.params.botId,
+        versions: botConfigService.getHistory(req.params.botId, limit)
+      });
+    } catch (error) {
+      console.error('❌ Error reading bot config history:', error);
+      res.status(500).json({ error: 'Failed to read bot configuration history' });
+    }
+  }
+}
+
+module.exports = new ConfigController();
@@ -2,6 +2,8 @@
  * Ingestion Controller
  * Orchestrates the full ingestion pipeline:
  * sitemap → scrape → chunk → embed → store → bm25 index
+ * The BM25 index is updated per URL alongside Qdrant; a consistency check
+ * at the end of a run repairs any drift between the two
  */
 
 const sitemapService = require('../services/sitemap.service');
@@ -12,26 +14,29 @@ const vectorStoreService = require('../services/vectorStore.service');
 const bm25Service = require('../services/bm25.service');
 const notificationService = require('../services/notification.service');
 const config = require('../config/ingestion.config');
+const botsConfig = require('../config/bots.config');
 
 class IngestionController {
   /**
-   * Run full ingestion pipeline for Knowella
+   * Run full ingestion pipeline for a bot (req.params.botId, default knowella)
    * @param {object} req 
    * @param {object} res 
    */
-  async ingestKnowella(req, res) {
+  async ingestBot(req, res) {
     const startTime = Date.now();
     const trigger = req.body.trigger || req.headers['x-webhook-trigger'] || 'manual';
+    const bot = botsConfig.getBot(req.params.botId || botsConfig.defaultBotId);
+    const vectorStore = vectorStoreService.forBot(bot.id);
 
     try {
-      console.log('\n🚀 Starting Knowella ingestion pipeline...\n');
+      console.log(`\n🚀 Starting ingestion pipeline for bot "${bot.id}"...\n`);
       console.log(`   Trigger: ${trigger}\n`);
 
       // Step 0: Verify services are ready
-      await this.verifyServices();
+      await this.verifyServices(bot.id);
 
-      // Step 1: Get all URLs from sitemaps
-      const urls = await sitemapService.getKnowellaUrls();
+      // Step 1: Get all URLs from the bot's sources
+      const urls = await sitemapService.getUrls(bot.sources);
 
       // Step 2: Process each URL
       let processedCount = 0;
@@ -43,9 +48,9 @@ class IngestionController {
 
       console.log(`\n📄 Processing ${urlsToProcess.length} URLs...\n`);
 
-      for (const { url, lastmod } of urlsToProcess) {
+      for (const { url, lastmod, source_id, content_type } of urlsToProcess) {
         try {
-          await this.processUrl(url, lastmod);
+          await this.processUrl(url, lastmod, bot.id, { sourceId: source_id, contentType: content_type });
           processedCount++;
 
           // Rate limiting delay
@@ -57,12 +62,19 @@ class IngestionController {
         }
       }
 
-      // Step 3: Build BM25 index from all chunks in Qdrant
-      console.log(`\n🔨 Building BM25 index...`);
-      await this.buildBM25Index();
+      // Step 3: Check the BM25 index against Qdrant (full build if there is none yet
+      // or the saved one was built with another analyzer)
+      const botBm25 = bm25Service.forBot(bot.id);
+      if (botBm25.getStats().totalDocuments === 0 || botBm25.rebuildReason) {
+        console.log(`\n🔨 Building BM25 index...`);
+        await this.buildBM25Index(bot.id);
+      } else {
+        console.log(`\n🔎 Checking BM25 index against Qdrant...`);
+        await this.syncBM25Index(bot.id);
+      }
 
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-      const stats = await vectorStoreService.getStats();
+      const stats = await vectorStore.getStats();
 
       console.log(`\n✅ Ingestion complete!`);
       console.log(`   Processed: ${processedCount}`);
@@ -80,6 +92,7 @@ class IngestionController {
 
       res.json({
         success: true,
+        botId: bot.id,
         processed: processedCount,
         errors: errorCount,
         elapsed_seconds: parseFloat(elapsed),
@@ -91,7 +104,7 @@ class IngestionController {
 
       // Send failure alert
       await notificationService.sendIngestionFailureAlert(error, {
-        url: 'https://knowella.com',
+        url: bot.sources.sitemapUrl || bot.id,
         trigger: trigger,
         timestamp: new Date().toISOString()
       });
@@ -107,12 +120,18 @@ class IngestionController {
    * Process a single URL through the pipeline
    * @param {string} url 
    * @param {string} lastmod 
+   * @param {string} botId - Bot whose collection receives the chunks
+   * @param {object} [source] - Where the URL came from (stored for retrieval filters)
+   * @param {string} [source.sourceId] - Sub-sitemap file name, or "urls"/"manual"
+   * @param {string} [source.contentType] - "post", "page"...
    */
-  async processUrl(url, lastmod) {
+  async processUrl(url, lastmod, botId = botsConfig.defaultBotId, { sourceId = 'manual', contentType = 'page' } = {}) {
     console.log(`📥 ${url}`);
+    const vectorStore = vectorStoreService.forBot(botId);
+    const bm25 = bm25Service.forBot(botId);
     
     // 1. Scrape URL
-    const { title, content, contentHash } = await scraperService.scrapeUrl(url);
+    const { title, content, contentHash, language } = await scraperService.scrapeUrl(url);
     
     if (!content || content.length < 100) {
       console.log(`  ⚠️  Skipped (insufficient content)`);
@@ -120,22 +139,26 @@ class IngestionController {
     }
     
     // 2. Check if content changed
-    const hasChanged = await vectorStoreService.hasContentChanged(url, contentHash);
+    const hasChanged = await vectorStore.hasContentChanged(url, contentHash);
     
     if (!hasChanged) {
       console.log(`  ⏭️  Skipped (no changes)`);
       return;
     }
     
-    // 3. Delete old chunks if re-ingesting
-    await vectorStoreService.deleteByUrl(url);
+    // 3. Delete old chunks if re-ingesting (from both indexes)
+    await vectorStore.deleteByUrl(url);
+    bm25.removeByUrl(url);
     
     // 4. Chunk the content
     const chunks = chunkerService.chunkText(content, {
       url,
       title,
       content_hash: contentHash,
-      last_crawled: lastmod || new Date().toISOString()
+      last_crawled: lastmod || new Date().toISOString(),
+      source_id: sourceId,
+      content_type: contentType,
+      language
     });
     
     console.log(`  📝 ${chunks.length} chunks created`);
@@ -150,20 +173,22 @@ class IngestionController {
       embedding: embeddings[i]
     }));
     
-    // 7. Store in Qdrant
-    await vectorStoreService.upsertChunks(chunksWithEmbeddings);
+    // 7. Store in Qdrant, then index the stored chunks for BM25 (saved by the caller)
+    const storedChunks = await vectorStore.upsertChunks(chunksWithEmbeddings);
+    bm25.addDocuments(storedChunks);
     
     console.log(`  ✅ Ingested successfully\n`);
   }
 
   /**
    * Verify all services are ready
+   * @param {string} botId - Bot whose collection is created if missing
    */
-  async verifyServices() {
+  async verifyServices(botId = botsConfig.defaultBotId) {
     console.log('🔍 Verifying services...');
 
     // Check Qdrant
-    await vectorStoreService.initCollection();
+    await vectorStoreService.forBot(botId).initCollection();
 
     // Check Ollama embedding model
     const hasModel = await embeddingsService.checkModel();
@@ -176,11 +201,12 @@ class IngestionController {
 
   /**
    * Build BM25 index from all chunks in Qdrant
+   * @param {string} botId
    */
-  async buildBM25Index() {
+  async buildBM25Index(botId = botsConfig.defaultBotId) {
     try {
-      // Fetch all chunks from Qdrant
-      const allChunks = await vectorStoreService.getAllChunks();
+      // Fetch all chunks from the bot's collection
+      const allChunks = await vectorStoreService.forBot(botId).getAllChunks();
 
       if (allChunks.length === 0) {
         console.warn('⚠️  No chunks found in Qdrant, skipping BM25 index');
@@ -188,7 +214,7 @@ class IngestionController {
       }
 
       // Build BM25 index
-      await bm25Service.buildIndex(allChunks);
+      await bm25Service.forBot(botId).buildIndex(allChunks);
 
       console.log('✅ BM25 index built successfully\n');
 
@@ -198,23 +224,76 @@ class IngestionController {
     }
   }
 
+  /**
+   * Compare a bot's BM25 index with its Qdrant collection (ids and content
+   * hashes) and, if asked, repair the difference and save the index
+   * @param {string} botId
+   * @param {object} [options]
+   * @param {boolean} [options.repair] - Index missing/stale chunks and drop extra ones
+   * @returns {Promise<{qdrant: number, bm25: number, missing: number, stale: number, extra: number, repaired: boolean}>}
+   */
+  async syncBM25Index(botId = botsConfig.defaultBotId, { repair = true } = {}) {
+    const vectorStore = vectorStoreService.forBot(botId);
+    const bm25 = bm25Service.forBot(botId);
+
+    const hashes = await vectorStore.getContentHashes();
+    const { missing, stale, extra } = bm25.diff(hashes);
+    const drift = missing.length + stale.length + extra.length;
+
+    const report = {
+      qdrant: hashes.size,
+      bm25: bm25.getStats().totalDocuments,
+      missing: missing.length,
+      stale: stale.length,
+      extra: extra.length,
+      repaired: false
+    };
+
+    console.log(`  📊 BM25 vs Qdrant: ${report.bm25} / ${report.qdrant} chunks, ${report.missing} missing, ${report.stale} stale, ${report.extra} extra`);
+
+    if (repair) {
+      if (drift > 0) {
+        bm25.removeByIds(extra);
+        bm25.addDocuments(await vectorStore.getIndexChunks([...missing, ...stale]));
+        report.repaired = true;
+        console.log(`  🔧 BM25 index repaired (${drift} chunks)`);
+      }
+
+      // Also persists the per-URL updates made since the last save
+      await bm25.saveIndex();
+    }
+
+    return report;
+  }
+
   /**
    * Test endpoint - ingest a single URL
    * @param {object} req 
    * @param {object} res 
    */
   async ingestSingleUrl(req, res) {
-    const { url } = req.body;
+    const { url, botId = botsConfig.defaultBotId } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL required' });
     }
+
+    if (!botsConfig.hasBot(botId)) {
+      return res.status(404).json({ error: `Unknown bot "${botId}"` });
+    }
     
     try {
-      console.log(`\n🧪 Testing ingestion for: ${url}\n`);
+      console.log(`\n🧪 Testing ingestion for: ${url} (bot "${botId}")\n`);
       
-      await this.verifyServices();
-      await this.processUrl(url, new Date().toISOString());
+      await this.verifyServices(botId);
+      await this.processUrl(url, new Date().toISOString(), botId);
+
+      // An index that predates the current analyzer is rebuilt rather than patched
+      if (bm25Service.forBot(botId).rebuildReason) {
+        await this.buildBM25Index(botId);
+      } else {
+        await bm25Service.forBot(botId).saveIndex();
+      }
       
       res.json({ success: true, message: 'URL ingested successfully' });
       
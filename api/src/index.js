@@ -2,15 +2,20 @@
  * Knowella RAG API - Main Entry Point
  * 
  * This server handles:
- * 1. Chat requests for Knowella bot (/chat/knowella)
- * 2. Content ingestion (/ingest/knowella)
- * 3. Health checks (/health)
+ * 1. Chat requests per bot (/chat/:botId, /chat/:botId/stream)
+ * 2. Content ingestion per bot (/ingest/:botId)
+ * 3. Bot configuration (/config/:botId, admin only)
+ * 4. Health checks (/health)
+ *
+ * Bots (collection, BM25 index, sources) are defined in config/bots.config.js
  */
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
+const botsConfig = require('./config/bots.config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,7 +42,7 @@ app.use(cors({
       callback(null, true); // Allow all for development
     }
   },
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PUT'],
   credentials: true
 }));
 
@@ -60,6 +65,34 @@ const ingestionLimiter = rateLimit({
   message: { error: 'Too many ingestion requests.' }
 });
 
+// Admin authentication for management endpoints (x-admin-token must match ADMIN_TOKEN)
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(401).json({ error: 'Unauthorized: admin API disabled (ADMIN_TOKEN not set)' });
+  }
+
+  if (req.headers['x-admin-token'] !== process.env.ADMIN_TOKEN) {
+    return res.status(401).json({ error: 'Unauthorized: Invalid admin token' });
+  }
+
+  next();
+}
+
+// Reject unknown :botId before it reaches a controller
+function resolveBot(req, res, next) {
+  if (!botsConfig.hasBot(req.params.botId)) {
+    return res.status(404).json({ error: `Unknown bot "${req.params.botId}"` });
+  }
+
+  next();
+}
+
+// PDF uploads kept in memory (10MB cap, matches pdfService.validatePDF)
+const pdfUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+}).single('file');
+
 // ===== ROUTES =====
 
 // Health check endpoint
@@ -79,10 +112,22 @@ app.get('/', (req, res) => {
   res.json({ 
     message: 'Knowella RAG API',
     version: '1.0.0',
+    bots: botsConfig.botIds,
     endpoints: [
       'GET /health',
-      'POST /chat/knowella',
-      'POST /ingest/knowella',
+      'POST /chat/:botId',
+      'POST /chat/:botId/stream',
+      'POST /chat/:botId/pdf',
+      'GET /chat/:botId/settings',
+      'POST /chat/feedback',
+      'GET /config/:botId',
+      'PUT /config/:botId',
+      'GET /config/:botId/history',
+      'POST /ingest/:botId',
+      'POST /cache/clear',
+      'POST /search',
+      'POST /search/explain',
+      'POST /check-bm25',
       'POST /webhook/wordpress-update'
     ]
   });
@@ -91,22 +136,78 @@ app.get('/', (req, res) => {
 // Import controllers
 const ingestionController = require('./controllers/ingestion.controller');
 const chatController = require('./controllers/chat.controller');
+const configController = require('./controllers/config.controller');
 const analyticsService = require('./services/analytics.service');
 
+// Answer feedback (registered before /chat/:botId so "feedback" is not taken as a bot id)
+app.post('/chat/feedback', chatLimiter, (req, res) => {
+  chatController.submitFeedback(req, res);
+});
+
 // Chat endpoints
-app.post('/chat/knowella', chatLimiter, (req, res) => {
-  chatController.chatKnowella(req, res);
+app.post('/chat/:botId', chatLimiter, resolveBot, (req, res) => {
+  chatController.chat(req, res);
+});
+
+// Streaming chat (Server-Sent Events); also available via Accept: text/event-stream
+app.post('/chat/:botId/stream', chatLimiter, resolveBot, (req, res) => {
+  chatController.chatStream(req, res);
+});
+
+// Welcome text and disclaimer for the chat widget (public)
+app.get('/chat/:botId/settings', chatLimiter, resolveBot, (req, res) => {
+  configController.getWidgetSettings(req, res);
+});
+
+// PDF questionnaire (multipart/form-data, field "file")
+app.post('/chat/:botId/pdf', chatLimiter, resolveBot, (req, res) => {
+  pdfUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: `Upload failed: ${err.message}` });
+    }
+    chatController.chatPDF(req, res);
+  });
+});
+
+// Bot configuration (admin)
+app.get('/config/:botId', requireAdmin, resolveBot, (req, res) => {
+  configController.getConfig(req, res);
+});
+
+app.put('/config/:botId', requireAdmin, resolveBot, (req, res) => {
+  configController.updateConfig(req, res);
+});
+
+app.get('/config/:botId/history', requireAdmin, resolveBot, (req, res) => {
+  configController.getHistory(req, res);
 });
 
-// Stats endpoint
+// Stats endpoint (?botId=, default knowella)
 app.get('/stats', (req, res) => {
   chatController.getStats(req, res);
 });
 
+// Drop cached retrieval results and answers (?botId= for one bot, default all)
+app.post('/cache/clear', requireAdmin, (req, res) => {
+  chatController.clearCache(req, res);
+});
+
+// Admin search: the chat retrieval's final chunks for a question, no LLM answer
+// (keyword syntax: "quoted phrase", +required, -excluded)
+app.post('/search', requireAdmin, (req, res) => {
+  chatController.search(req, res);
+});
+
+// Retrieval debugging: every step of the chat retrieval for a question, no LLM answer
+app.post('/search/explain', requireAdmin, (req, res) => {
+  chatController.explainSearch(req, res);
+});
+
 // Analytics endpoints (protected - should add authentication in production)
+// ?botId= limits summary/export to one bot
 app.get('/analytics/summary', (req, res) => {
   try {
-    const summary = analyticsService.getAnalyticsSummary();
+    const summary = analyticsService.getAnalyticsSummary(req.query.botId || null);
     res.json(summary);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -115,7 +216,7 @@ app.get('/analytics/summary', (req, res) => {
 
 app.get('/analytics/export', (req, res) => {
   try {
-    const data = analyticsService.exportAllData();
+    const data = analyticsService.exportAllData(req.query.botId || null);
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -132,12 +233,19 @@ app.get('/analytics/session/:sessionId', (req, res) => {
   }
 });
 
+// Test endpoint - ingest single URL (body: { url, botId? })
+// Registered before /ingest/:botId so "single" is not taken as a bot id
+app.post('/ingest/single', ingestionLimiter, (req, res) => {
+  ingestionController.ingestSingleUrl(req, res);
+});
+
 // Ingestion endpoints
-app.post('/ingest/knowella', ingestionLimiter, (req, res) => {
-  ingestionController.ingestKnowella(req, res);
+app.post('/ingest/:botId', ingestionLimiter, resolveBot, (req, res) => {
+  ingestionController.ingestBot(req, res);
 });
 
 // Webhook endpoint for WordPress (no rate limiting for reliability)
+// ?botId= selects the bot to re-ingest (default knowella)
 app.post('/webhook/wordpress-update', (req, res) => {
   // Verify webhook secret
   const webhookSecret = req.headers['x-webhook-secret'];
@@ -145,31 +253,52 @@ app.post('/webhook/wordpress-update', (req, res) => {
     return res.status(401).json({ error: 'Unauthorized: Invalid webhook secret' });
   }
 
+  req.params.botId = req.query.botId || botsConfig.defaultBotId;
+  if (!botsConfig.hasBot(req.params.botId)) {
+    return res.status(404).json({ error: `Unknown bot "${req.params.botId}"` });
+  }
+
   // Set webhook trigger header
   req.headers['x-webhook-trigger'] = 'wordpress';
   req.body.trigger = 'wordpress';
 
   // Trigger ingestion asynchronously
-  ingestionController.ingestKnowella(req, res)
+  ingestionController.ingestBot(req, res)
     .catch(error => {
       console.error('Webhook ingestion error:', error);
       res.status(500).json({ error: 'Webhook processing failed' });
     });
 });
 
+// Rebuild a bot's BM25 index (body: { botId? }, default knowella)
 app.post('/rebuild-bm25', ingestionLimiter, async (req, res) => {
+  const botId = (req.body && req.body.botId) || botsConfig.defaultBotId;
+  if (!botsConfig.hasBot(botId)) {
+    return res.status(404).json({ error: `Unknown bot "${botId}"` });
+  }
+
   try {
-    console.log('\n🔨 Rebuilding BM25 index from existing Qdrant chunks...\n');
-    await ingestionController.buildBM25Index();
-    res.json({ success: true, message: 'BM25 index rebuilt successfully' });
+    console.log(`\n🔨 Rebuilding BM25 index for bot "${botId}" from existing Qdrant chunks...\n`);
+    await ingestionController.buildBM25Index(botId);
+    res.json({ success: true, botId, message: 'BM25 index rebuilt successfully' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Test endpoint - ingest single URL
-app.post('/ingest/single', ingestionLimiter, (req, res) => {
-  ingestionController.ingestSingleUrl(req, res);
+// Compare a bot's BM25 index with Qdrant and repair drift (body: { botId?, repair? })
+app.post('/check-bm25', ingestionLimiter, requireAdmin, async (req, res) => {
+  const botId = (req.body && req.body.botId) || botsConfig.defaultBotId;
+  if (!botsConfig.hasBot(botId)) {
+    return res.status(404).json({ error: `Unknown bot "${botId}"` });
+  }
+
+  try {
+    const report = await ingestionController.syncBM25Index(botId, { repair: !(req.body && req.body.repair === false) });
+    res.json({ success: true, botId, ...report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 // Error handling middleware
@@ -192,15 +321,22 @@ app.use((req, res) => {
 const bm25Service = require('./services/bm25.service');
 
 async function startServer() {
-  // Load BM25 index on startup
-  console.log('🔨 Loading BM25 index...');
-  const loaded = await bm25Service.loadIndex();
-
-  if (loaded) {
-    const stats = bm25Service.getStats();
-    console.log(`✅ BM25 index loaded: ${stats.totalDocuments} documents`);
-  } else {
-    console.log('⚠️  BM25 index not found, will build during first ingestion');
+  // Load each bot's BM25 index on startup
+  for (const botId of botsConfig.botIds) {
+    console.log(`🔨 Loading BM25 index for bot "${botId}"...`);
+    const botBm25 = bm25Service.forBot(botId);
+    const loaded = await botBm25.loadIndex();
+
+    if (loaded) {
+      const stats = botBm25.getStats();
+      console.log(`✅ BM25 index loaded: ${stats.totalDocuments} documents`);
+    } else if (botBm25.rebuildReason) {
+      // Saved with another analyzer or layout: its terms can't be reused
+      console.log(`🔨 Rebuilding BM25 index for bot "${botId}" from Qdrant...`);
+      await ingestionController.buildBM25Index(botId);
+    } else {
+      console.log('⚠️  BM25 index not found, will build during first ingestion');
+    }
   }
 
   app.listen(PORT, '0.0.0.0', () => {
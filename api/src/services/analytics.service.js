@@ -6,6 +6,10 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 
+// Allowed feedback values (validated by recordFeedback)
+const FEEDBACK_RATINGS = ['up', 'down'];
+const FEEDBACK_REASONS = ['incorrect', 'incomplete', 'irrelevant', 'outdated', 'unclear', 'other'];
+
 class AnalyticsService {
   constructor() {
     // Initialize SQLite database
@@ -15,6 +19,9 @@ class AnalyticsService {
     // Enable WAL mode for better concurrency
     this.db.pragma('journal_mode = WAL');
 
+    // Opt-in: also store answers, citations and retrieval traces (see logTranscript)
+    this.storeTranscripts = process.env.ANALYTICS_STORE_TRANSCRIPTS === 'true';
+
     // Initialize tables
     this.initializeTables();
 
@@ -45,17 +52,58 @@ class AnalyticsService {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         session_id TEXT NOT NULL,
         question TEXT NOT NULL,
+        bot_id TEXT NOT NULL DEFAULT 'knowella',
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (session_id) REFERENCES user_sessions(session_id)
       )
     `);
 
+    // Databases created before multi-bot support have no bot_id column
+    const queryColumns = this.db.prepare(`PRAGMA table_info(user_queries)`).all();
+    if (!queryColumns.some(c => c.name === 'bot_id')) {
+      this.db.exec(`ALTER TABLE user_queries ADD COLUMN bot_id TEXT NOT NULL DEFAULT 'knowella'`);
+    }
+
+    // Answer feedback (one row per answered query; resubmitting replaces it)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS answer_feedback (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query_id INTEGER UNIQUE NOT NULL,
+        session_id TEXT NOT NULL,
+        bot_id TEXT NOT NULL,
+        rating TEXT NOT NULL,
+        reason TEXT,
+        comment TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (query_id) REFERENCES user_queries(id)
+      )
+    `);
+
+    // Full Q&A transcripts with retrieval traces (only when ANALYTICS_STORE_TRANSCRIPTS=true)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS query_transcripts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        query_id INTEGER UNIQUE NOT NULL,
+        answer TEXT NOT NULL,
+        citations TEXT,
+        retrieval TEXT,
+        provider TEXT,
+        model TEXT,
+        latency TEXT,
+        no_context INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (query_id) REFERENCES user_queries(id)
+      )
+    `);
+
     // Create indexes for faster queries
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_sessions_email ON user_sessions(email);
       CREATE INDEX IF NOT EXISTS idx_sessions_created ON user_sessions(created_at);
       CREATE INDEX IF NOT EXISTS idx_queries_session ON user_queries(session_id);
       CREATE INDEX IF NOT EXISTS idx_queries_timestamp ON user_queries(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_queries_bot ON user_queries(bot_id);
+      CREATE INDEX IF NOT EXISTS idx_feedback_bot ON answer_feedback(bot_id);
     `);
   }
 
@@ -97,16 +145,17 @@ class AnalyticsService {
    * Log user query (question only, not bot response)
    * @param {string} sessionId - Session identifier
    * @param {string} question - User's question
+   * @param {string} botId - Bot the question was asked to
    * @returns {object} Query info
    */
-  logQuery(sessionId, question) {
+  logQuery(sessionId, question, botId = 'knowella') {
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO user_queries (session_id, question)
-        VALUES (?, ?)
+        INSERT INTO user_queries (session_id, question, bot_id)
+        VALUES (?, ?, ?)
       `);
 
-      const result = stmt.run(sessionId, question);
+      const result = stmt.run(sessionId, question, botId);
 
       // Update last_active timestamp for session
       this.db.prepare(`
@@ -119,7 +168,8 @@ class AnalyticsService {
         success: true,
         queryId: result.lastInsertRowid,
         sessionId,
-        question
+        question,
+        botId
       };
     } catch (error) {
       console.error('Error logging query:', error);
@@ -127,6 +177,142 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Store the answer and retrieval trace for a logged query
+   * No-op unless ANALYTICS_STORE_TRANSCRIPTS=true
+   * @param {number} queryId - user_queries.id (messageId)
+   * @param {object} transcript
+   * @param {string} transcript.answer
+   * @param {Array} transcript.citations
+   * @param {Array} transcript.retrieval - Per (sub-)question: search query, chunk ids + scores
+   * @param {string} transcript.provider
+   * @param {string} transcript.model
+   * @param {object} transcript.latency - embed_ms, search_ms, bm25_ms, llm_ms, ... total_ms
+   * @param {boolean} transcript.noContext - True if any question had no retrieved chunks
+   */
+  logTranscript(queryId, { answer, citations, retrieval, provider, model, latency, noContext }) {
+    if (!this.storeTranscripts || !queryId) return;
+
+    try {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO query_transcripts
+          (query_id, answer, citations, retrieval, provider, model, latency, no_context)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        queryId,
+        answer,
+        JSON.stringify(citations),
+        JSON.stringify(retrieval),
+        provider,
+        model,
+        JSON.stringify(latency),
+        noContext ? 1 : 0
+      );
+    } catch (error) {
+      // Don't fail the request if analytics fails
+      console.error('Error logging transcript:', error);
+    }
+  }
+
+  /**
+   * Record thumbs up/down feedback for an answered query
+   * @param {number} queryId - messageId returned by the chat endpoint (user_queries.id)
+   * @param {string} sessionId - Must match the session that asked the question
+   * @param {object} feedback
+   * @param {string} feedback.rating - 'up' or 'down'
+   * @param {string} [feedback.reason] - One of FEEDBACK_REASONS
+   * @param {string} [feedback.comment] - Free text (max 1000 chars)
+   * @returns {object} Feedback info
+   * @throws {Error} With .statusCode 400 (invalid input) or 404 (unknown message)
+   */
+  recordFeedback(queryId, sessionId, { rating, reason = null, comment = null }) {
+    const fail = (statusCode, message) => {
+      const error = new Error(message);
+      error.statusCode = statusCode;
+      return error;
+    };
+
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      throw fail(400, `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`);
+    }
+
+    if (reason !== null && !FEEDBACK_REASONS.includes(reason)) {
+      throw fail(400, `reason must be one of: ${FEEDBACK_REASONS.join(', ')}`);
+    }
+
+    if (comment !== null && (typeof comment !== 'string' || comment.length > 1000)) {
+      throw fail(400, 'comment must be a string of at most 1000 characters');
+    }
+
+    const query = this.db.prepare(`
+      SELECT id, bot_id FROM user_queries WHERE id = ? AND session_id = ?
+    `).get(queryId, sessionId);
+
+    if (!query) {
+      throw fail(404, 'Message not found');
+    }
+
+    this.db.prepare(`
+      INSERT INTO answer_feedback (query_id, session_id, bot_id, rating, reason, comment)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(query_id) DO UPDATE SET
+        rating = excluded.rating,
+        reason = excluded.reason,
+        comment = excluded.comment,
+        created_at = CURRENT_TIMESTAMP
+    `).run(queryId, sessionId, query.bot_id, rating, reason, comment ? comment.trim() : null);
+
+    return {
+      success: true,
+      messageId: queryId,
+      botId: query.bot_id,
+      rating,
+      reason
+    };
+  }
+
+  /**
+   * Feedback aggregates: totals, satisfaction, reasons, latest negative comments
+   * @param {string} [botId]
+   * @returns {object}
+   */
+  getFeedbackSummary(botId = null) {
+    const totals = this.db.prepare(`
+      SELECT
+        COUNT(*) as total,
+        COALESCE(SUM(CASE WHEN rating = 'up' THEN 1 ELSE 0 END), 0) as up,
+        COALESCE(SUM(CASE WHEN rating = 'down' THEN 1 ELSE 0 END), 0) as down
+      FROM answer_feedback
+      WHERE (? IS NULL OR bot_id = ?)
+    `).get(botId, botId);
+
+    const byReason = this.db.prepare(`
+      SELECT reason, COUNT(*) as count
+      FROM answer_feedback
+      WHERE rating = 'down' AND reason IS NOT NULL AND (? IS NULL OR bot_id = ?)
+      GROUP BY reason
+      ORDER BY count DESC
+    `).all(botId, botId);
+
+    const recentNegative = this.db.prepare(`
+      SELECT f.query_id as messageId, q.question, f.reason, f.comment, f.created_at
+      FROM answer_feedback f
+      JOIN user_queries q ON q.id = f.query_id
+      WHERE f.rating = 'down' AND (? IS NULL OR f.bot_id = ?)
+      ORDER BY f.created_at DESC
+      LIMIT 10
+    `).all(botId, botId);
+
+    return {
+      ...totals,
+      satisfactionRate: totals.total > 0
+        ? (totals.up / totals.total).toFixed(2)
+        : null,
+      byReason,
+      recentNegative
+    };
+  }
+
   /**
    * Get session by session ID
    * @param {string} sessionId
@@ -146,19 +332,34 @@ class AnalyticsService {
   }
 
   /**
-   * Get all queries for a session
+   * Get all queries for a session, with the transcript (answer, citations,
+   * retrieval trace, latency) when one was stored
    * @param {string} sessionId
    * @returns {array}
    */
   getSessionQueries(sessionId) {
     try {
       const stmt = this.db.prepare(`
-        SELECT * FROM user_queries
-        WHERE session_id = ?
-        ORDER BY timestamp DESC
+        SELECT q.*,
+          t.answer, t.citations, t.retrieval, t.provider, t.model, t.latency, t.no_context
+        FROM user_queries q
+        LEFT JOIN query_transcripts t ON t.query_id = q.id
+        WHERE q.session_id = ?
+        ORDER BY q.timestamp DESC
       `);
 
-      return stmt.all(sessionId);
+      return stmt.all(sessionId).map(({ answer, citations, retrieval, provider, model, latency, no_context, ...query }) => ({
+        ...query,
+        transcript: answer === null ? null : {
+          answer,
+          citations: JSON.parse(citations),
+          retrieval: JSON.parse(retrieval),
+          provider,
+          model,
+          latency: JSON.parse(latency),
+          no_context: no_context === 1
+        }
+      }));
     } catch (error) {
       console.error('Error getting session queries:', error);
       return [];
@@ -167,39 +368,55 @@ class AnalyticsService {
 
   /**
    * Get analytics summary
+   * @param {string} [botId] - Only count queries to this bot (sessions that asked it)
    * @returns {object}
    */
-  getAnalyticsSummary() {
+  getAnalyticsSummary(botId = null) {
     try {
-      const totalSessions = this.db.prepare(`
-        SELECT COUNT(*) as count FROM user_sessions
-      `).get().count;
+      const totalSessions = botId
+        ? this.db.prepare(`
+            SELECT COUNT(DISTINCT session_id) as count FROM user_queries WHERE bot_id = ?
+          `).get(botId).count
+        : this.db.prepare(`
+            SELECT COUNT(*) as count FROM user_sessions
+          `).get().count;
 
       const totalQueries = this.db.prepare(`
         SELECT COUNT(*) as count FROM user_queries
-      `).get().count;
+        WHERE (? IS NULL OR bot_id = ?)
+      `).get(botId, botId).count;
 
-      const uniqueEmails = this.db.prepare(`
-        SELECT COUNT(DISTINCT email) as count FROM user_sessions
-      `).get().count;
+      const uniqueEmails = botId
+        ? this.db.prepare(`
+            SELECT COUNT(DISTINCT s.email) as count
+            FROM user_sessions s
+            JOIN user_queries q ON q.session_id = s.session_id
+            WHERE q.bot_id = ?
+          `).get(botId).count
+        : this.db.prepare(`
+            SELECT COUNT(DISTINCT email) as count FROM user_sessions
+          `).get().count;
 
       const recentQueries = this.db.prepare(`
-        SELECT q.question, q.timestamp, s.name, s.email
+        SELECT q.question, q.bot_id, q.timestamp, s.name, s.email
         FROM user_queries q
         JOIN user_sessions s ON q.session_id = s.session_id
+        WHERE (? IS NULL OR q.bot_id = ?)
         ORDER BY q.timestamp DESC
         LIMIT 10
-      `).all();
+      `).all(botId, botId);
 
       const topQuestions = this.db.prepare(`
         SELECT question, COUNT(*) as count
         FROM user_queries
+        WHERE (? IS NULL OR bot_id = ?)
         GROUP BY LOWER(question)
         ORDER BY count DESC
         LIMIT 10
-      `).all();
+      `).all(botId, botId);
 
       return {
+        botId: botId || 'all',
         totalSessions,
         totalQueries,
         uniqueEmails,
@@ -207,7 +424,8 @@ class AnalyticsService {
           ? (totalQueries / totalSessions).toFixed(2)
           : 0,
         recentQueries,
-        topQuestions
+        topQuestions,
+        feedback: this.getFeedbackSummary(botId)
       };
     } catch (error) {
       console.error('Error getting analytics summary:', error);
@@ -217,24 +435,43 @@ class AnalyticsService {
 
   /**
    * Export all data (for admin review)
+   * @param {string} [botId] - Only export sessions/queries for this bot
    * @returns {object}
    */
-  exportAllData() {
+  exportAllData(botId = null) {
     try {
       const sessions = this.db.prepare(`
-        SELECT * FROM user_sessions ORDER BY created_at DESC
-      `).all();
+        SELECT * FROM user_sessions
+        WHERE (? IS NULL OR session_id IN (SELECT session_id FROM user_queries WHERE bot_id = ?))
+        ORDER BY created_at DESC
+      `).all(botId, botId);
 
       const queries = this.db.prepare(`
         SELECT q.*, s.name, s.email
         FROM user_queries q
         JOIN user_sessions s ON q.session_id = s.session_id
+        WHERE (? IS NULL OR q.bot_id = ?)
         ORDER BY q.timestamp DESC
-      `).all();
+      `).all(botId, botId);
+
+      const feedback = this.db.prepare(`
+        SELECT * FROM answer_feedback
+        WHERE (? IS NULL OR bot_id = ?)
+        ORDER BY created_at DESC
+      `).all(botId, botId);
+
+      const transcripts = this.db.prepare(`
+        SELECT t.* FROM query_transcripts t
+        JOIN user_queries q ON q.id = t.query_id
+        WHERE (? IS NULL OR q.bot_id = ?)
+        ORDER BY t.created_at DESC
+      `).all(botId, botId);
 
       return {
         sessions,
         queries,
+        feedback,
+        transcripts,
         exportDate: new Date().toISOString()
       };
     } catch (error) {
@@ -0,0 +1,207 @@
+/**
+ * Answer Cache Service
+ * Semantic cache of final answers: a new question is answered from the cache
+ * when its embedding is close enough to a previously answered one (so
+ * "What services does Knowella provide?" reuses "What does Knowella offer?").
+ * Entries are scoped (bot config version, filters...) and expire individually.
+ * One instance per bot; follow-up questions are never cached by the caller
+ */
+
+const embeddingsService = require('./embeddings.service');
+const retrievalService = require('./retrieval.service');
+const botsConfig = require('../config/bots.config');
+
+// botId -> AnswerCacheService
+const instances = new Map();
+
+class AnswerCacheService {
+  /**
+   * @param {string} botId - Bot whose answers are cached
+   */
+  constructor(botId = botsConfig.defaultBotId) {
+    this.botId = botId;
+    this.similarityCutoff = parseFloat(process.env.ANSWER_CACHE_SIMILARITY) || 0.95;
+    this.maxEntries = parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES, 10) || 500;
+
+    // { question, embedding, scope, result, createdAt, expiresAt, hits }
+    this.entries = [];
+    this.stats = { hits: 0, misses: 0, stores: 0, expired: 0, evicted: 0 };
+  }
+
+  /**
+   * Get the answer cache for a bot
+   * @param {string} botId
+   * @returns {AnswerCacheService}
+   */
+  forBot(botId) {
+    if (!instances.has(botId)) {
+      instances.set(botId, new AnswerCacheService(botId));
+    }
+    return instances.get(botId);
+  }
+
+  /**
+   * Find a cached answer for a question
+   * @param {string} question
+   * @param {string} scope - Entries only match within the same scope (see ChatController.getAnswerCacheScope)
+   * @returns {Promise<{question: string, similarity: number, result: object}|null>}
+   */
+  async lookup(question, scope) {
+    const match = await this.findBest(question, scope);
+
+    if (!match || match.similarity < this.similarityCutoff) {
+      this.stats.misses++;
+      return null;
+    }
+
+    match.entry.hits++;
+    this.stats.hits++;
+    console.log(`  💾 Answer cache hit (${match.similarity.toFixed(3)}): "${match.entry.question.substring(0, 50)}"`);
+
+    return {
+      question: match.entry.question,
+      similarity: Math.round(match.similarity * 1000) / 1000,
+      result: match.entry.result
+    };
+  }
+
+  /**
+   * What lookup() would do, without counting it in the stats (for /search/explain)
+   * @param {string} question
+   * @param {string} scope
+   * @returns {Promise<{status: string, question: string|null, similarity: number|null}>}
+   *   status 'hit' or 'miss'; question/similarity of the closest entry in scope
+   */
+  async peek(question, scope) {
+    const match = await this.findBest(question, scope);
+
+    return {
+      status: match && match.similarity >= this.similarityCutoff ? 'hit' : 'miss',
+      question: match ? match.entry.question : null,
+      similarity: match ? Math.round(match.similarity * 1000) / 1000 : null
+    };
+  }
+
+  /**
+   * Closest cached question in a scope
+   * @param {string} question
+   * @param {string} scope
+   * @returns {Promise<{entry: object, similarity: number}|null>} null if the scope is empty or embedding fails
+   */
+  async findBest(question, scope) {
+    this.removeExpired();
+
+    const candidates = this.entries.filter(entry => entry.scope === scope);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let embedding;
+    try {
+      embedding = await embeddingsService.generateQueryEmbedding(question);
+    } catch (error) {
+      console.warn(`  ⚠️  Answer cache lookup failed (${error.message})`);
+      return null;
+    }
+
+    let best = null;
+    let bestSimilarity = -1;
+
+    candidates.forEach(entry => {
+      const similarity = retrievalService.cosineSimilarity(embedding, entry.embedding);
+      if (similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    });
+
+    return { entry: best, similarity: bestSimilarity };
+  }
+
+  /**
+   * Cache a final answer
+   * @param {string} question
+   * @param {string} scope
+   * @param {{answer: string, citations: Array, grounding: object|undefined, chunksRetrieved: number}} result
+   * @param {number} ttlSeconds - Lifetime of this entry (0 = don't cache)
+   * @returns {Promise<void>}
+   */
+  async store(question, scope, result, ttlSeconds) {
+    if (!(ttlSeconds > 0)) return;
+
+    let embedding;
+    try {
+      embedding = await embeddingsService.generateQueryEmbedding(question);
+    } catch (error) {
+      console.warn(`  ⚠️  Answer not cached (${error.message})`);
+      return;
+    }
+
+    const now = Date.now();
+
+    // Same question in the same scope: replace the old answer
+    this.entries = this.entries.filter(entry =>
+      !(entry.scope === scope && entry.question.toLowerCase().trim() === question.toLowerCase().trim())
+    );
+
+    this.entries.push({
+      question,
+      embedding,
+      scope,
+      result,
+      createdAt: now,
+      expiresAt: now + ttlSeconds * 1000,
+      hits: 0
+    });
+    this.stats.stores++;
+
+    // Evict the oldest entries beyond the cap
+    if (this.entries.length > this.maxEntries) {
+      const evicted = this.entries.length - this.maxEntries;
+      this.entries = this.entries.slice(evicted);
+      this.stats.evicted += evicted;
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  removeExpired() {
+    const now = Date.now();
+    const before = this.entries.length;
+
+    this.entries = this.entries.filter(entry => entry.expiresAt > now);
+    this.stats.expired += before - this.entries.length;
+  }
+
+  /**
+   * Drop every cached answer
+   */
+  clear() {
+    this.entries = [];
+    console.log(`🗑️  Answer cache cleared (bot "${this.botId}")`);
+  }
+
+  /**
+   * Cache statistics (for /stats)
+   * @returns {object}
+   */
+  getStats() {
+    this.removeExpired();
+
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      entries: this.entries.length,
+      maxEntries: this.maxEntries,
+      similarityCutoff: this.similarityCutoff,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+}
+
+// Export singleton instance (default bot); other bots via forBot()
+const answerCacheService = new AnswerCacheService();
+instances.set(answerCacheService.botId, answerCacheService);
+module.exports = answerCacheService;
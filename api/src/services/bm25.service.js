@@ -1,135 +1,558 @@
 const fs = require('fs').promises;
 const path = require('path');
+const botsConfig = require('../config/bots.config');
+const ingestionConfig = require('../config/ingestion.config');
+const { createAnalyzer } = require('../utils/analyzer');
+const { matchesFilters } = require('../utils/retrievalFilters');
+
+// botId -> BM25Service
+const instances = new Map();
+
+// Persisted index layout (see BM25.toJSON); files with another version must be rebuilt.
+// Bump it whenever FIELDS changes
+const INDEX_FORMAT_VERSION = 4;
+
+// BM25F fields of a chunk, in posting order (see fieldTokens)
+const FIELDS = ['title', 'heading', 'body', 'url'];
+
+// Positions skipped between consecutive fields, so phrases and proximity never span two fields
+const POSITION_GAP = 100;
 
 /**
- * BM25 Implementation
- * Based on: https://en.wikipedia.org/wiki/Okapi_BM25
+ * BM25F Implementation
+ * Based on: https://en.wikipedia.org/wiki/Okapi_BM25 and Robertson & Zaragoza,
+ * "The Probabilistic Relevance Framework: BM25 and Beyond" (simple BM25F)
+ * Each document has several fields (title, heading...). A term's frequencies in
+ * the fields are length-normalized per field, weighted by the field boost and
+ * summed into one pseudo-frequency, which then saturates once with k1:
+ *   tf~ = sum_f boost_f * tf_f / (1 - b_f + b_f * len_f / avglen_f)
+ *   score = sum_t idf(t) * tf~ * (k1 + 1) / (tf~ + k1)
+ * With a single field of boost 1 this is plain BM25.
+ * Inverted index: term -> postings (document index, term frequency per field and
+ * token positions), plus each document's field lengths. Positions add phrase
+ * matching, a proximity bonus and required/excluded clauses (see search). A query only visits the postings of its
+ * own terms, so its cost depends on how many documents contain those terms, not
+ * on corpus size. IDF is derived from the postings length at query time, so
+ * adding or removing a document keeps every statistic current. Removed documents
+ * leave an empty slot (docLengths[i] === null) until compact()
  */
 class BM25 {
-  constructor(documents, k1 = 1.5, b = 0.75) {
-    this.documents = documents; // Array of token arrays
-    this.k1 = k1; // Term frequency saturation parameter
-    this.b = b;   // Length normalization parameter
-    this.avgDocLength = 0;
-    this.docLengths = [];
-    this.idf = new Map(); // Inverse document frequency
-    
-    this.buildIndex();
+  /**
+   * @param {Array<{boost: number, b: number}>} [fields] - Per field, in posting order
+   * @param {number} [k1] - Term frequency saturation parameter
+   */
+  constructor(fields = [{ boost: 1, b: 0.75 }], k1 = 1.5) {
+    this.k1 = k1;
+    this.fields = fields;      // boost: field weight; b: length normalization (0 = none)
+    this.postings = new Map(); // term -> { docs: [docIdx...], tfs: [tf per field, for each doc in turn], positions: [[position...] per doc] }
+    this.docLengths = [];      // docIdx -> [length per field], null for removed documents
+    this.docTerms = [];        // docIdx -> distinct terms (to remove a document from its postings)
+    this.totalLengths = fields.map(() => 0);
+    this.liveCount = 0;
   }
 
-  buildIndex() {
-    const N = this.documents.length;
-    
-    // Calculate document lengths and average
-    let totalLength = 0;
-    for (const doc of this.documents) {
-      const length = doc.length;
-      this.docLengths.push(length);
-      totalLength += length;
+  /**
+   * Restore an index saved with toJSON()
+   * @param {{docLengths: Array<Array<number>>, postings: object}} data
+   * @param {Array<{boost: number, b: number}>} fields - Same number of fields as when saved
+   * @param {number} [k1]
+   * @returns {BM25}
+   */
+  static fromJSON(data, fields, k1) {
+    const index = new BM25(fields, k1);
+    const fieldCount = fields.length;
+    index.docLengths = data.docLengths;
+    index.docTerms = data.docLengths.map(() => []);
+    index.liveCount = data.docLengths.length;
+    data.docLengths.forEach(lengths => {
+      lengths.forEach((length, f) => { index.totalLengths[f] += length; });
+    });
+
+    Object.entries(data.postings).forEach(([term, entries]) => {
+      const docs = [];
+      const tfs = [];
+      const positions = [];
+      let i = 0;
+      while (i < entries.length) {
+        const docIdx = entries[i];
+        let count = 0;
+        for (let f = 1; f <= fieldCount; f++) {
+          tfs.push(entries[i + f]);
+          count += entries[i + f];
+        }
+        docs.push(docIdx);
+        positions.push(entries.slice(i + fieldCount + 1, i + fieldCount + 1 + count));
+        index.docTerms[docIdx].push(term);
+        i += fieldCount + 1 + count;
+      }
+      index.postings.set(term, { docs, tfs, positions });
+    });
+
+    return index;
+  }
+
+  /**
+   * @returns {number} Number of indexed documents (removed ones excluded)
+   */
+  get docCount() {
+    return this.liveCount;
+  }
+
+  /**
+   * @returns {number} Average document length in tokens (all fields)
+   */
+  get avgDocLength() {
+    const total = this.totalLengths.reduce((sum, length) => sum + length, 0);
+    return this.docCount > 0 ? total / this.docCount : 0;
+  }
+
+  /**
+   * Append a document
+   * @param {Array<Array<string>>} fieldTokens - Tokens of each field, in field order
+   * @returns {number} Its document index
+   */
+  addDocument(fieldTokens) {
+    const docIdx = this.docLengths.length;
+    const fieldCount = this.fields.length;
+    const termFreq = new Map(); // term -> { tfs: [tf per field], positions }
+    let offset = 0;
+
+    fieldTokens.forEach((tokens, f) => {
+      tokens.forEach((term, i) => {
+        if (!termFreq.has(term)) {
+          termFreq.set(term, { tfs: new Array(fieldCount).fill(0), positions: [] });
+        }
+        const entry = termFreq.get(term);
+        entry.tfs[f]++;
+        entry.positions.push(offset + i);
+      });
+      this.totalLengths[f] += tokens.length;
+      offset += tokens.length + POSITION_GAP;
+    });
+
+    termFreq.forEach(({ tfs, positions }, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, { docs: [], tfs: [], positions: [] });
+      }
+      const posting = this.postings.get(term);
+      posting.docs.push(docIdx);
+      posting.tfs.push(...tfs);
+      posting.positions.push(positions);
+    });
+
+    this.docLengths.push(fieldTokens.map(tokens => tokens.length));
+    this.docTerms.push([...termFreq.keys()]);
+    this.liveCount++;
+    return docIdx;
+  }
+
+  /**
+   * Remove a document from every posting it appears in (its slot stays empty until compact())
+   * @param {number} docIdx
+   * @returns {boolean} False if it was already removed
+   */
+  removeDocument(docIdx) {
+    if (this.docLengths[docIdx] === null || this.docLengths[docIdx] === undefined) {
+      return false;
     }
-    this.avgDocLength = N > 0 ? totalLength / N : 0;
-    
-    // Calculate IDF for each term
-    const termDocCount = new Map();
-    
-    for (const doc of this.documents) {
-      const uniqueTerms = new Set(doc);
-      for (const term of uniqueTerms) {
-        termDocCount.set(term, (termDocCount.get(term) || 0) + 1);
+
+    const fieldCount = this.fields.length;
+
+    this.docTerms[docIdx].forEach(term => {
+      const posting = this.postings.get(term);
+      const position = posting.docs.indexOf(docIdx);
+
+      posting.docs.splice(position, 1);
+      posting.tfs.splice(position * fieldCount, fieldCount);
+      posting.positions.splice(position, 1);
+      if (posting.docs.length === 0) {
+        this.postings.delete(term);
       }
+    });
+
+    this.docLengths[docIdx].forEach((length, f) => { this.totalLengths[f] -= length; });
+    this.docLengths[docIdx] = null;
+    this.docTerms[docIdx] = null;
+    this.liveCount--;
+    return true;
+  }
+
+  /**
+   * Drop the slots of removed documents, renumbering the others
+   * @returns {Array<number>|null} Old index of each remaining document, in
+   *   order (null if nothing was removed)
+   */
+  compact() {
+    if (this.liveCount === this.docLengths.length) {
+      return null;
     }
-    
-    // IDF(term) = ln((N - df + 0.5) / (df + 0.5) + 1)
-    for (const [term, df] of termDocCount) {
-      const idf = Math.log((N - df + 0.5) / (df + 0.5) + 1);
-      this.idf.set(term, idf);
+
+    const kept = [];
+    const newIndex = new Array(this.docLengths.length);
+
+    this.docLengths.forEach((lengths, docIdx) => {
+      if (lengths !== null) {
+        newIndex[docIdx] = kept.length;
+        kept.push(docIdx);
+      }
+    });
+
+    // Postings stay in ascending order: renumbering keeps the relative order
+    this.postings.forEach(posting => {
+      posting.docs = posting.docs.map(docIdx => newIndex[docIdx]);
+    });
+    this.docLengths = kept.map(docIdx => this.docLengths[docIdx]);
+    this.docTerms = kept.map(docIdx => this.docTerms[docIdx]);
+
+    return kept;
+  }
+
+  /**
+   * IDF(term) = ln((N - df + 0.5) / (df + 0.5) + 1)
+   * @param {number} df - Documents containing the term
+   * @returns {number}
+   */
+  idf(df) {
+    return Math.log((this.docCount - df + 0.5) / (df + 0.5) + 1);
+  }
+
+  /**
+   * Number of documents containing a term
+   * @param {string} term
+   * @returns {number}
+   */
+  documentFrequency(term) {
+    const posting = this.postings.get(term);
+    return posting ? posting.docs.length : 0;
+  }
+
+  /**
+   * Positions of a term in a document (postings are in ascending document order)
+   * @param {string} term
+   * @param {number} docIdx
+   * @returns {Array<number>|null} Ascending; null if the document lacks the term
+   */
+  termPositions(term, docIdx) {
+    const posting = this.postings.get(term);
+    if (!posting) return null;
+
+    let low = 0;
+    let high = posting.docs.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (posting.docs[mid] === docIdx) return posting.positions[mid];
+      if (posting.docs[mid] < docIdx) low = mid + 1;
+      else high = mid - 1;
     }
+    return null;
   }
 
   /**
-   * Calculate BM25 score for a query against all documents
+   * Occurrences of a phrase (consecutive terms) in a document
+   * @param {Array<string>} terms - One or more analyzed terms
+   * @param {number} docIdx
+   * @returns {number}
+   */
+  phraseCount(terms, docIdx) {
+    const lists = terms.map(term => this.termPositions(term, docIdx));
+    if (lists.some(list => !list)) return 0;
+    if (lists.length === 1) return lists[0].length;
+
+    const following = lists.slice(1).map(list => new Set(list));
+    return lists[0].filter(start => following.every((set, k) => set.has(start + k + 1))).length;
+  }
+
+  /**
+   * Whether a document satisfies required and excluded clauses
+   * @param {number} docIdx
+   * @param {Array<Array<string>>} required - Terms/phrases it must contain
+   * @param {Array<Array<string>>} excluded - Terms/phrases it must not contain
+   * @returns {boolean}
+   */
+  matchesClauses(docIdx, required = [], excluded = []) {
+    return required.every(terms => this.phraseCount(terms, docIdx) > 0) &&
+      !excluded.some(terms => this.phraseCount(terms, docIdx) > 0);
+  }
+
+  /**
+   * Smallest gap between two ascending position lists
+   * @param {Array<number>} a
+   * @param {Array<number>} b
+   * @returns {number}
+   */
+  minDistance(a, b) {
+    let best = Infinity;
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      best = Math.min(best, Math.abs(a[i] - b[j]));
+      if (a[i] < b[j]) i++;
+      else j++;
+    }
+    return best;
+  }
+
+  /**
+   * Best-scoring documents for a query (term-at-a-time over the postings), plus
+   * positional bonuses:
+   * - phrase: phraseBoost × the phrase terms' IDF sum × saturated occurrence count
+   * - proximity: for each pair of consecutive query terms found within
+   *   proximity.window positions, proximity.boost × their mean IDF / distance
    * @param {Array<string>} queryTerms - Array of query tokens
-   * @returns {Array<number>} - BM25 scores for each document
+   * @param {Array<number>} [weights] - Weight per query token (default 1)
+   * @param {number} [topK] - Number of documents to return
+   * @param {Function} [accept] - docIdx => boolean; rejected documents are skipped
+   * @param {object} [options] - Analyzed terms for positional scoring and clauses
+   * @param {Array<string>} [options.sequence] - Query terms in query order (proximity pairs)
+   * @param {Array<Array<string>>} [options.phrases] - Phrases rewarded when found verbatim
+   * @param {Array<Array<string>>} [options.required] - Terms/phrases every result must contain
+   * @param {Array<Array<string>>} [options.excluded] - Terms/phrases no result may contain
+   * @param {{window: number, boost: number}} [options.proximity]
+   * @param {number} [options.phraseBoost]
+   * @returns {Array<{docIdx: number, score: number, phrase: number, proximity: number}>} Best
+   *   first (score includes both bonuses); only documents matching a term
    */
-  search(queryTerms) {
-    const scores = new Array(this.documents.length).fill(0);
-    
-    for (let docIdx = 0; docIdx < this.documents.length; docIdx++) {
-      const doc = this.documents[docIdx];
-      const docLength = this.docLengths[docIdx];
-      
-      // Count term frequencies in document
-      const termFreq = new Map();
-      for (const term of doc) {
-        termFreq.set(term, (termFreq.get(term) || 0) + 1);
+  search(queryTerms, weights = [], topK = 20, accept = () => true, {
+    sequence = [], phrases = [], required = [], excluded = [], proximity = null, phraseBoost = 0
+  } = {}) {
+    const scores = new Map();
+    const multiTerm = new Set();    // Documents matching two or more query terms (proximity candidates)
+    const fieldCount = this.fields.length;
+    const avgLengths = this.totalLengths.map(total => (this.docCount > 0 ? total / this.docCount : 0));
+
+    queryTerms.forEach((term, i) => {
+      const posting = this.postings.get(term);
+      if (!posting) return;
+
+      const weight = weights[i] ?? 1;
+      const idf = this.idf(posting.docs.length);
+
+      for (let j = 0; j < posting.docs.length; j++) {
+        const docIdx = posting.docs[j];
+        const lengths = this.docLengths[docIdx];
+
+        // Boosted, per-field length-normalized frequency
+        let tf = 0;
+        for (let f = 0; f < fieldCount; f++) {
+          const freq = posting.tfs[j * fieldCount + f];
+          if (freq === 0) continue;
+
+          const { boost, b } = this.fields[f];
+          const norm = avgLengths[f] > 0 ? 1 - b + b * (lengths[f] / avgLengths[f]) : 1;
+          tf += boost * freq / norm;
+        }
+
+        // BM25 saturation
+        const score = idf * (tf * (this.k1 + 1)) / (tf + this.k1);
+        const previous = scores.get(docIdx);
+        if (previous !== undefined) multiTerm.add(docIdx);
+        scores.set(docIdx, (previous || 0) + weight * score);
       }
-      
-      // Calculate score for this document
-      let score = 0;
-      for (const queryTerm of queryTerms) {
-        const tf = termFreq.get(queryTerm) || 0;
-        if (tf === 0) continue;
-        
-        const idf = this.idf.get(queryTerm) || 0;
-        
-        // BM25 formula
-        const numerator = tf * (this.k1 + 1);
-        const denominator = tf + this.k1 * (1 - this.b + this.b * (docLength / this.avgDocLength));
-        
-        score += idf * (numerator / denominator);
+    });
+
+    const termIdf = term => this.idf(this.documentFrequency(term));
+
+    // Consecutive distinct query terms, once each
+    const pairs = [];
+    if (proximity && proximity.boost > 0) {
+      const seen = new Set();
+      for (let i = 1; i < sequence.length; i++) {
+        const [a, b] = [sequence[i - 1], sequence[i]];
+        if (a === b || seen.has(`${a} ${b}`) || !this.postings.has(a) || !this.postings.has(b)) continue;
+        seen.add(`${a} ${b}`);
+        pairs.push({ a, b, idf: (termIdf(a) + termIdf(b)) / 2 });
       }
-      
-      scores[docIdx] = score;
     }
-    
-    return scores;
+    const phraseIdfs = phrases.map(terms => terms.reduce((sum, term) => sum + termIdf(term), 0));
+
+    const hasClauses = required.length > 0 || excluded.length > 0;
+    const top = new TopK(topK);
+    const bonuses = new Map();
+
+    scores.forEach((score, docIdx) => {
+      if (!accept(docIdx) || (hasClauses && !this.matchesClauses(docIdx, required, excluded))) return;
+
+      let phrase = 0;
+      if (phraseBoost > 0 && phrases.length > 0) {
+        phrases.forEach((terms, i) => {
+          const count = this.phraseCount(terms, docIdx);
+          if (count > 0) phrase += phraseBoost * phraseIdfs[i] * (count * (this.k1 + 1)) / (count + this.k1);
+        });
+      }
+
+      let near = 0;
+      if (pairs.length > 0 && multiTerm.has(docIdx)) {
+        pairs.forEach(({ a, b, idf }) => {
+          const positionsA = this.termPositions(a, docIdx);
+          const positionsB = positionsA && this.termPositions(b, docIdx);
+          if (!positionsB) return;
+
+          const distance = this.minDistance(positionsA, positionsB);
+          if (distance <= proximity.window) near += proximity.boost * idf / distance;
+        });
+      }
+
+      if (phrase > 0 || near > 0) bonuses.set(docIdx, { phrase, proximity: near });
+      top.push(docIdx, score + phrase + near);
+    });
+
+    return top.sorted().map(({ docIdx, score }) => ({
+      docIdx,
+      score,
+      ...(bonuses.get(docIdx) || { phrase: 0, proximity: 0 })
+    }));
+  }
+
+  /**
+   * Compact form for saveIndex: postings as flat arrays of
+   * [docIdx, tf field 1, tf field 2..., positions (as many as the tfs add up to), docIdx...]
+   * @returns {{docLengths: Array<Array<number>>, postings: object}}
+   */
+  toJSON() {
+    const postings = {};
+    const fieldCount = this.fields.length;
+
+    this.postings.forEach(({ docs, tfs, positions }, term) => {
+      const entries = [];
+      for (let i = 0; i < docs.length; i++) {
+        entries.push(docs[i]);
+        for (let f = 0; f < fieldCount; f++) {
+          entries.push(tfs[i * fieldCount + f]);
+        }
+        entries.push(...positions[i]);
+      }
+      postings[term] = entries;
+    });
+
+    return { docLengths: this.docLengths, postings };
+  }
+}
+
+/**
+ * Bounded min-heap keeping the k best scores (ties: lower docIdx wins, as in a stable sort)
+ */
+class TopK {
+  constructor(k) {
+    this.k = k;
+    this.heap = [];  // { docIdx, score }, worst at heap[0]
+  }
+
+  /**
+   * @param {{docIdx: number, score: number}} a
+   * @param {{docIdx: number, score: number}} b
+   * @returns {boolean} True if a ranks below b
+   */
+  worse(a, b) {
+    return a.score < b.score || (a.score === b.score && a.docIdx > b.docIdx);
+  }
+
+  /**
+   * Offer a document; kept only if it beats the current worst of the k
+   * @param {number} docIdx
+   * @param {number} score
+   */
+  push(docIdx, score) {
+    if (this.k <= 0) return;
+
+    const item = { docIdx, score };
+
+    if (this.heap.length < this.k) {
+      this.heap.push(item);
+      this.siftUp(this.heap.length - 1);
+    } else if (this.worse(this.heap[0], item)) {
+      this.heap[0] = item;
+      this.siftDown(0);
+    }
+  }
+
+  /**
+   * Move heap[i] up until its parent ranks below it
+   * @param {number} i
+   */
+  siftUp(i) {
+    const heap = this.heap;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.worse(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Move heap[i] down until both children rank above it
+   * @param {number} i
+   */
+  siftDown(i) {
+    const heap = this.heap;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+
+      if (left < heap.length && this.worse(heap[left], heap[smallest])) smallest = left;
+      if (right < heap.length && this.worse(heap[right], heap[smallest])) smallest = right;
+      if (smallest === i) break;
+
+      [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+      i = smallest;
+    }
+  }
+
+  /**
+   * @returns {Array<{docIdx: number, score: number}>} Best first
+   */
+  sorted() {
+    return [...this.heap].sort((a, b) => (this.worse(a, b) ? 1 : this.worse(b, a) ? -1 : 0));
   }
 }
 
 class BM25Service {
-  constructor() {
-    this.bm25 = null;
-    this.documents = [];
-    this.documentIds = [];
-    this.indexPath = path.join(__dirname, '../../data/bm25-index.json');
+  /**
+   * @param {string} botId - Bot whose index file this instance uses
+   */
+  constructor(botId = botsConfig.defaultBotId) {
+    this.botId = botId;
+    this.bm25 = null;        // BM25 inverted index
+    this.documentIds = [];   // Chunk (Qdrant point) id per document, null once removed
+    this.documentMeta = [];  // Per document: filter fields, url, content_hash (see documentFields)
+    this.idIndex = new Map(); // chunk id -> document index
+    this.generation = 0;     // Bumped whenever the index is rebuilt, reloaded or updated
+    this.rebuildReason = null; // Why the saved index could not be used (set by loadIndex)
+
+    const bot = botsConfig.getBot(botId);
+    this.indexPath = path.join(__dirname, '../../data', bot.bm25Index);
+    this.analyzer = createAnalyzer({ ...ingestionConfig.analyzer, ...bot.analyzer });
+
+    // Field boosts, length normalization and positional bonuses apply at query time:
+    // changing them needs no rebuild
+    const { k1 = 1.5, fields = {}, phraseBoost = 0.5, proximity = {} } = ingestionConfig.bm25 || {};
+    this.k1 = k1;
+    this.fields = FIELDS.map(name => ({ boost: 1, b: 0.75, ...fields[name] }));
+    this.phraseBoost = phraseBoost;
+    this.proximity = { window: 5, boost: 0.3, ...proximity };
   }
 
   /**
-   * Tokenize text into terms for BM25
-   * Preserves numbers, percentages, and special terms
-   * @param {string} text - Text to tokenize
-   * @returns {string[]} - Array of tokens
+   * Get the BM25 index for a bot
+   * @param {string} botId
+   * @returns {BM25Service}
    */
-  tokenize(text) {
-    if (!text) return [];
-
-    return text
-      .toLowerCase()
-      // Normalize special cases before splitting
-      .replace(/(\d+)%/g, '$1percent')  // 70% → 70percent
-      .replace(/(\d+)x/g, '$1x')        // 1.8x → 1.8x
-      .replace(/[^\w\s.-]/g, ' ')       // Keep alphanumeric, dash, dot (for decimals)
-      .split(/\s+/)
-      .filter(token => token.length > 0)  // Keep all non-empty tokens (including numbers)
-      .filter(token => !this.isStopWord(token))
-      .filter(token => {
-        // Keep if: contains digit OR length > 2
-        return /\d/.test(token) || token.length > 2;
-      });
+  forBot(botId) {
+    if (!instances.has(botId)) {
+      instances.set(botId, new BM25Service(botId));
+    }
+    return instances.get(botId);
   }
 
   /**
-   * Simple stop words filter
-   * @param {string} word - Word to check
-   * @returns {boolean} - True if stop word
+   * Tokenize text into terms for BM25 with the bot's analyzer (see utils/analyzer)
+   * Used for both indexed chunks and queries
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} - Array of tokens
    */
-  isStopWord(word) {
-    const stopWords = new Set([
-      'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'her',
-      'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how',
-      'its', 'may', 'new', 'now', 'old', 'see', 'than', 'that', 'this', 'with'
-    ]);
-    return stopWords.has(word);
+  tokenize(text) {
+    return this.analyzer.analyze(text);
   }
 
   /**
@@ -140,40 +563,234 @@ class BM25Service {
     console.log(`Building BM25 index from ${chunks.length} chunks...`);
     
     // Reset state
-    this.documents = [];
+    this.bm25 = new BM25(this.fields, this.k1);
     this.documentIds = [];
+    this.documentMeta = [];
+    this.rebuildReason = null;
 
-    // Tokenize all documents
+    // Tokenize and index all documents
     for (const chunk of chunks) {
-      // Combine text and section heading for better matching
-      const textToIndex = chunk.metadata?.section_heading 
-        ? `${chunk.metadata.section_heading} ${chunk.text}`
-        : chunk.text;
-      
-      const tokens = this.tokenize(textToIndex);
-      this.documents.push(tokens);
+      this.bm25.addDocument(this.fieldTokens(chunk));
       this.documentIds.push(chunk.id);
+      this.documentMeta.push(this.documentFields(chunk.metadata));
     }
+    this.rebuildIdIndex();
 
     console.log(`  Sample BM25 IDs at build: [${this.documentIds.slice(0, 3).join(', ')}]`);
 
-    // Build BM25 index
-    this.bm25 = new BM25(this.documents);
+    this.generation++;
     
-    console.log(`BM25 index built with ${this.documents.length} documents`);
+    console.log(`BM25 index built with ${this.bm25.docCount} documents, ${this.bm25.postings.size} terms`);
     
     // Persist index
     await this.saveIndex();
   }
 
+  /**
+   * Add chunks to the index, replacing any already indexed under the same id
+   * (incremental update; call saveIndex() to persist)
+   * @param {Array} chunks - {id, text, metadata} as from vectorStore.getAllChunks()
+   * @returns {number} Chunks added
+   */
+  addDocuments(chunks) {
+    if (chunks.length === 0) return 0;
+
+    if (!this.bm25) {
+      this.bm25 = new BM25(this.fields, this.k1);
+    }
+
+    this.removeByIds(chunks.map(chunk => chunk.id), { quiet: true });
+
+    chunks.forEach(chunk => {
+      const docIdx = this.bm25.addDocument(this.fieldTokens(chunk));
+      this.documentIds[docIdx] = chunk.id;
+      this.documentMeta[docIdx] = this.documentFields(chunk.metadata);
+      this.idIndex.set(chunk.id, docIdx);
+    });
+
+    this.generation++;
+    console.log(`  📊 BM25: indexed ${chunks.length} chunks (${this.bm25.docCount} total)`);
+    return chunks.length;
+  }
+
+  /**
+   * Remove chunks from the index (ids not indexed are ignored)
+   * @param {Array<number|string>} ids
+   * @param {object} [options]
+   * @param {boolean} [options.quiet] - Don't log (used when replacing chunks)
+   * @returns {number} Chunks removed
+   */
+  removeByIds(ids, { quiet = false } = {}) {
+    let removed = 0;
+
+    ids.forEach(id => {
+      const docIdx = this.idIndex.get(id);
+      if (docIdx === undefined) return;
+
+      this.bm25.removeDocument(docIdx);
+      this.documentIds[docIdx] = null;
+      this.documentMeta[docIdx] = null;
+      this.idIndex.delete(id);
+      removed++;
+    });
+
+    if (removed > 0) {
+      this.generation++;
+      if (!quiet) {
+        console.log(`  📊 BM25: removed ${removed} chunks (${this.bm25.docCount} total)`);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove every chunk of a page
+   * @param {string} url
+   * @returns {number} Chunks removed
+   */
+  removeByUrl(url) {
+    const ids = this.documentIds.filter((id, docIdx) => id !== null && this.documentMeta[docIdx]?.url === url);
+    return this.removeByIds(ids);
+  }
+
+  /**
+   * Compare the index with the chunks that should be in it
+   * @param {Map<number|string, string>} expected - chunk id -> content_hash (from vectorStore.getContentHashes())
+   * @returns {{missing: Array, stale: Array, extra: Array}} Ids not indexed, indexed
+   *   from other content (or before content hashes were stored), and indexed but gone
+   */
+  diff(expected) {
+    const missing = [];
+    const stale = [];
+
+    expected.forEach((contentHash, id) => {
+      const docIdx = this.idIndex.get(id);
+      if (docIdx === undefined) {
+        missing.push(id);
+      } else if (this.documentMeta[docIdx]?.content_hash !== contentHash) {
+        stale.push(id);
+      }
+    });
+
+    const extra = [...this.idIndex.keys()].filter(id => !expected.has(id));
+
+    return { missing, stale, extra };
+  }
+
+  /**
+   * Analyzed tokens of each BM25F field of a chunk, in FIELDS order
+   * @param {{text: string, metadata: object}} chunk
+   * @returns {Array<Array<string>>}
+   */
+  fieldTokens(chunk) {
+    const metadata = chunk.metadata || {};
+    const texts = {
+      title: metadata.title,
+      heading: metadata.section_heading,
+      body: chunk.text,
+      url: this.urlSlug(metadata.url)
+    };
+
+    return FIELDS.map(field => this.tokenize(texts[field] || ''));
+  }
+
+  /**
+   * Words of a URL path ("https://x.com/health-safety/incident_reports.html" → "health safety incident reports")
+   * @param {string} url
+   * @returns {string}
+   */
+  urlSlug(url) {
+    if (!url) return '';
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(url).pathname);
+    } catch (error) {
+      pathname = url;
+    }
+
+    return pathname
+      .replace(/\.(html?|php|aspx?)$/i, '')
+      .replace(/[\/_.-]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Chunk metadata kept with the index: the fields retrieval filters look at,
+   * plus url and content_hash for incremental updates and diff()
+   * @param {object} metadata - Chunk metadata from vectorStore.getAllChunks()
+   * @returns {object}
+   */
+  documentFields(metadata = {}) {
+    return {
+      url: metadata.url,
+      content_hash: metadata.content_hash,
+      url_prefixes: metadata.url_prefixes || [],
+      content_type: metadata.content_type,
+      source_id: metadata.source_id,
+      language: metadata.language,
+      last_crawled_ts: metadata.last_crawled_ts
+    };
+  }
+
+  /**
+   * Rebuild the chunk id -> document index lookup
+   */
+  rebuildIdIndex() {
+    this.idIndex = new Map();
+    this.documentIds.forEach((id, docIdx) => {
+      if (id !== null) this.idIndex.set(id, docIdx);
+    });
+  }
+
+  /**
+   * Analyze the phrases and clauses of a parsed keyword query (see utils/keywordQuery)
+   * @param {object|null} keywordQuery
+   * @returns {{phrases: Array<Array<string>>, required: Array<Array<string>>, excluded: Array<Array<string>>}}
+   *   Term sequences; clauses that analyze to nothing (stopwords) are dropped
+   */
+  analyzeClauses(keywordQuery) {
+    const analyze = clauses => (clauses || [])
+      .map(clause => this.tokenize(clause))
+      .filter(terms => terms.length > 0);
+
+    return {
+      phrases: analyze(keywordQuery && keywordQuery.phrases).filter(terms => terms.length > 1),
+      required: analyze(keywordQuery && keywordQuery.required),
+      excluded: analyze(keywordQuery && keywordQuery.excluded)
+    };
+  }
+
+  /**
+   * Whether an indexed chunk satisfies required/excluded clauses (chunks missing
+   * from the index only pass when nothing is required)
+   * @param {number} id - Chunk id
+   * @param {{required: Array<Array<string>>, excluded: Array<Array<string>>}} clauses - From analyzeClauses
+   * @returns {boolean}
+   */
+  matchesClauses(id, { required, excluded }) {
+    const docIdx = this.idIndex.get(id);
+    if (!this.bm25 || docIdx === undefined) {
+      return required.length === 0;
+    }
+    return this.bm25.matchesClauses(docIdx, required, excluded);
+  }
+
   /**
    * Search using BM25
    * @param {string} query - Search query
    * @param {number} topK - Number of results to return
-   * @returns {Array} - Array of {id, score} objects sorted by score
+   * @param {object|null} [filters] - Normalized retrieval filters (see utils/retrievalFilters)
+   * @param {Array<{term: string, weight: number}>} [extraTerms] - Already-analyzed expansion
+   *   terms, scored with their weight (query tokens weigh 1)
+   * @param {object|null} [keywordQuery] - Parsed query syntax (see utils/keywordQuery):
+   *   phrases are rewarded, required/excluded clauses filter the results
+   * @returns {Array<{id: number, score: number, phrase_score: number, proximity_score: number}>}
+   *   Sorted by score (phrase and proximity bonuses included)
    */
-  search(query, topK = 20) {
-    if (!this.bm25 || this.documents.length === 0) {
+  search(query, topK = 20, filters = null, extraTerms = [], keywordQuery = null) {
+    if (!this.bm25 || this.bm25.docCount === 0) {
       console.warn('BM25 index not initialized');
       return [];
     }
@@ -185,21 +802,36 @@ class BM25Service {
       return [];
     }
 
-    console.log(`  BM25: Query tokens: [${queryTokens.join(', ')}]`);
+    // Expansion terms the query doesn't already contain
+    const expansion = extraTerms.filter(({ term }) => !queryTokens.includes(term));
+    const { phrases, required, excluded } = this.analyzeClauses(keywordQuery);
 
-    // Get BM25 scores for all documents
-    const scores = this.bm25.search(queryTokens);
-    
-    // Combine scores with document IDs
-    const results = scores.map((score, index) => ({
-      id: this.documentIds[index],
-      score: score
-    }));
+    console.log(`  BM25: Query tokens: [${queryTokens.join(', ')}]${expansion.length > 0 ? ` + [${expansion.map(t => t.term).join(', ')}]` : ''}`);
+    if (phrases.length > 0 || required.length > 0 || excluded.length > 0) {
+      const show = list => list.map(terms => terms.join(' ')).join(' | ');
+      console.log(`  BM25: Phrases: [${show(phrases)}], required: [${show(required)}], excluded: [${show(excluded)}]`);
+    }
 
-    // Sort by score descending and return top K
-    const topResults = results
-      .sort((a, b) => b.score - a.score)
-      .slice(0, topK);
+    // Top K documents matching a query term, dropping documents outside the filters
+    const topResults = this.bm25.search(
+      [...queryTokens, ...expansion.map(t => t.term)],
+      [...queryTokens.map(() => 1), ...expansion.map(t => t.weight)],
+      topK,
+      filters ? docIdx => matchesFilters(this.documentMeta[docIdx], filters) : undefined,
+      {
+        sequence: queryTokens,
+        phrases,
+        required,
+        excluded,
+        proximity: this.proximity,
+        phraseBoost: this.phraseBoost
+      }
+    ).map(({ docIdx, score, phrase, proximity }) => ({
+      id: this.documentIds[docIdx],
+      score,
+      phrase_score: phrase,
+      proximity_score: proximity
+    }));
     
     console.log(`  BM25: Top result score: ${topResults[0]?.score.toFixed(4) || 'N/A'}`);
     
@@ -210,21 +842,33 @@ class BM25Service {
    * Save BM25 index to disk
    */
   async saveIndex() {
+    if (!this.bm25) return;
+
     try {
       const dataDir = path.dirname(this.indexPath);
       await fs.mkdir(dataDir, { recursive: true });
 
+      // Drop the slots of removed chunks (renumbers documents)
+      const kept = this.bm25.compact();
+      if (kept) {
+        this.documentIds = kept.map(docIdx => this.documentIds[docIdx]);
+        this.documentMeta = kept.map(docIdx => this.documentMeta[docIdx]);
+        this.rebuildIdIndex();
+        this.generation++;
+      }
+
       const indexData = {
-        documents: this.documents,
+        formatVersion: INDEX_FORMAT_VERSION,
+        analyzer: this.analyzer.id,
+        analyzerSettings: this.analyzer.settings,
         documentIds: this.documentIds,
+        documentMeta: this.documentMeta,
+        ...this.bm25.toJSON(),
         timestamp: new Date().toISOString()
       };
 
-      await fs.writeFile(
-        this.indexPath,
-        JSON.stringify(indexData, null, 2),
-        'utf-8'
-      );
+      // Not pretty-printed: postings are long number arrays
+      await fs.writeFile(this.indexPath, JSON.stringify(indexData), 'utf-8');
 
       console.log(`BM25 index saved to ${this.indexPath}`);
     } catch (error) {
@@ -240,11 +884,23 @@ class BM25Service {
       const data = await fs.readFile(this.indexPath, 'utf-8');
       const indexData = JSON.parse(data);
 
-      this.documents = indexData.documents;
+      // Terms from another layout or analyzer don't match this analyzer's query terms
+      if (indexData.formatVersion !== INDEX_FORMAT_VERSION || indexData.analyzer !== this.analyzer.id) {
+        this.rebuildReason = indexData.formatVersion !== INDEX_FORMAT_VERSION
+          ? `index format ${indexData.formatVersion || 1} (expected ${INDEX_FORMAT_VERSION})`
+          : `analyzer ${indexData.analyzer || 'none'} (expected ${this.analyzer.id})`;
+        console.warn(`⚠️  BM25 index ${this.indexPath} was built with ${this.rebuildReason}, rebuild required`);
+        return false;
+      }
+
+      this.rebuildReason = null;
       this.documentIds = indexData.documentIds;
-      this.bm25 = new BM25(this.documents);
+      this.documentMeta = indexData.documentMeta || [];  // Missing in indexes built before filters
+      this.bm25 = BM25.fromJSON(indexData, this.fields, this.k1);
+      this.rebuildIdIndex();
+      this.generation++;
 
-      console.log(`BM25 index loaded: ${this.documents.length} documents from ${indexData.timestamp}`);
+      console.log(`BM25 index loaded: ${this.bm25.docCount} documents, ${this.bm25.postings.size} terms from ${indexData.timestamp}`);
       console.log(`  Sample loaded BM25 IDs: [${this.documentIds.slice(0, 3).join(', ')}]`);
       return true;
     } catch (error) {
@@ -262,15 +918,16 @@ class BM25Service {
    */
   getStats() {
     return {
-      totalDocuments: this.documents.length,
-      avgTokensPerDoc: this.documents.length > 0
-        ? Math.round(this.documents.reduce((sum, doc) => sum + doc.length, 0) / this.documents.length)
-        : 0,
+      totalDocuments: this.bm25 ? this.bm25.docCount : 0,
+      totalTerms: this.bm25 ? this.bm25.postings.size : 0,
+      avgTokensPerDoc: this.bm25 ? Math.round(this.bm25.avgDocLength) : 0,
+      analyzer: this.analyzer.id,
       indexed: this.bm25 !== null
     };
   }
 }
 
-// Export singleton instance
+// Export singleton instance (default bot); other bots via forBot()
 const bm25Service = new BM25Service();
+instances.set(bm25Service.botId, bm25Service);
 module.exports = bm25Service;
@@ -0,0 +1,317 @@
+/**
+ * Bot Config Service
+ * Stores bot settings (tone, rules, retrieval params, model...) in SQLite.
+ * Every update is a new version row; the latest version is the live config
+ * and is cached in memory so the chat pipeline picks it up without a restart
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const botsConfig = require('../config/bots.config');
+
+// Field rules used by validate()
+const SCHEMA = {
+  assistantName: { type: 'string', maxLength: 100, minLength: 1 },
+  tone: { type: 'string', maxLength: 500 },
+  rules: { type: 'string', maxLength: 2000 },
+  disclaimer: { type: 'string', maxLength: 1000 },
+  welcomeText: { type: 'string', maxLength: 1000 },
+  fallbackMessage: { type: 'string', maxLength: 500, minLength: 1 },
+  topK: { type: 'integer', min: 1, max: 20 },
+  similarityThreshold: { type: 'number', min: 0, max: 1 },
+  reranker: { type: 'string', maxLength: 20, enum: ['none', 'lexical', 'cross-encoder', 'llm'] },
+  rerankCandidates: { type: 'integer', min: 1, max: 50 },
+  fusionMode: { type: 'string', maxLength: 20, enum: ['rrf', 'convex', 'semantic-gated'] },
+  rrfK: { type: 'integer', min: 1, max: 1000 },
+  semanticWeight: { type: 'number', min: 0, max: 1 },
+  minSemanticScore: { type: 'number', min: 0, max: 1 },
+  minBm25Score: { type: 'number', min: 0, max: 100 },
+  expansionTerms: { type: 'integer', min: 0, max: 10 },
+  multiQuery: { type: 'integer', min: 0, max: 5 },
+  queryStrategy: { type: 'string', maxLength: 20, enum: ['question', 'hyde', 'average', 'fusion'] },
+  synonyms: { type: 'dictionary', maxEntries: 500, maxLength: 100 },
+  answerCacheTtl: { type: 'integer', min: 0, max: 86400 },
+  mmrLambda: { type: 'number', min: 0, max: 1 },
+  maxChunksPerUrl: { type: 'integer', min: 0, max: 20 },
+  contextNeighbours: { type: 'integer', min: 0, max: 3 },
+  contextFullPageChunks: { type: 'integer', min: 0, max: 10 },
+  contextMaxTokens: { type: 'integer', min: 500, max: 16000 },
+  model: { type: 'string', maxLength: 100 }
+};
+
+// Env variables already warned about by envChoice()
+const warnedEnv = new Set();
+
+/**
+ * Enum default from an env variable, checked against SCHEMA like a PUT would be.
+ * A bad value (e.g. a typo in RERANKER) falls back instead of failing every request
+ * @param {string} name - Env variable
+ * @param {string} key - SCHEMA field with an enum
+ * @param {string} fallback
+ * @returns {string}
+ */
+function envChoice(name, key, fallback) {
+  const value = process.env[name];
+  if (!value) return fallback;
+
+  const choices = SCHEMA[key].enum;
+  if (choices.includes(value)) return value;
+
+  if (!warnedEnv.has(name)) {
+    warnedEnv.add(name);
+    console.warn(`⚠️  ${name}="${value}" is not one of: ${choices.join(', ')}. Using "${fallback}"`);
+  }
+  return fallback;
+}
+
+class BotConfigService {
+  /**
+   * @param {string} [dbPath] - SQLite file (tests pass ':memory:')
+   */
+  constructor(dbPath = path.join(__dirname, '../../data/bot-config.db')) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.initializeTables();
+
+    // botId -> { version, updatedAt, overrides, config }
+    this.cache = new Map();
+  }
+
+  /**
+   * Initialize database tables
+   */
+  initializeTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS bot_config_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bot_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        config TEXT NOT NULL,
+        updated_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (bot_id, version)
+      )
+    `);
+  }
+
+  /**
+   * Built-in defaults (used until the first PUT, and for fields never set)
+   * Bot-specific defaults from bots.config.js override the shared ones
+   * @param {string} botId
+   * @returns {object}
+   */
+  getDefaults(botId = botsConfig.defaultBotId) {
+    const bot = botsConfig.getBot(botId);
+
+    return {
+      assistantName: bot.name,
+      tone: 'helpful, professional, and friendly',
+      rules: 'Keep answers concise and relevant. Focus on Knowella\'s AI-powered productivity solutions.',
+      disclaimer: 'This information is based on Knowella\'s website content. For specific inquiries, please contact Knowella directly.',
+      welcomeText: 'Hi! I\'m the Knowella assistant. Ask me anything about Knowella\'s products and services.',
+      fallbackMessage: 'I don\'t have enough information to answer that question based on Knowella\'s content. Could you try rephrasing or ask something else about Knowella?',
+      topK: parseInt(process.env.CHAT_TOP_K, 10) || 8,
+      similarityThreshold: parseFloat(process.env.CHAT_SIMILARITY_THRESHOLD) || 0.28,
+      reranker: envChoice('RERANKER', 'reranker', 'none'),
+      rerankCandidates: parseInt(process.env.RERANK_CANDIDATES, 10) || 20,
+      fusionMode: envChoice('FUSION_MODE', 'fusionMode', 'rrf'),
+      rrfK: parseInt(process.env.FUSION_RRF_K, 10) || 60,
+      semanticWeight: process.env.FUSION_SEMANTIC_WEIGHT ? parseFloat(process.env.FUSION_SEMANTIC_WEIGHT) : 0.5,
+      minSemanticScore: parseFloat(process.env.RELEVANCE_MIN_SEMANTIC_SCORE) || 0,  // 0 = gate off
+      minBm25Score: parseFloat(process.env.RELEVANCE_MIN_BM25_SCORE) || 0,          // 0 = gate off
+      expansionTerms: process.env.QUERY_EXPANSION_TERMS ? parseInt(process.env.QUERY_EXPANSION_TERMS, 10) : 3,
+      multiQuery: parseInt(process.env.QUERY_EXPANSION_MULTI_QUERY, 10) || 0,     // 0 = off
+      synonyms: {},  // { "ehs": ["environment health and safety"] }
+      queryStrategy: envChoice('QUERY_STRATEGY', 'queryStrategy', 'question'),
+      mmrLambda: process.env.MMR_LAMBDA ? parseFloat(process.env.MMR_LAMBDA) : 1,    // 1 = off
+      maxChunksPerUrl: parseInt(process.env.MAX_CHUNKS_PER_URL, 10) || 0,           // 0 = no cap
+      contextNeighbours: parseInt(process.env.CONTEXT_NEIGHBOURS, 10) || 0,           // 0 = off
+      contextFullPageChunks: parseInt(process.env.CONTEXT_FULL_PAGE_CHUNKS, 10) || 0,  // 0 = off
+      contextMaxTokens: parseInt(process.env.CONTEXT_MAX_TOKENS, 10) || 4000,
+      answerCacheTtl: parseInt(process.env.ANSWER_CACHE_TTL_SECONDS, 10) || 0,  // 0 = off
+      model: '',  // Empty = provider default (LLM_MODEL / GROQ_MODEL)
+      ...bot.defaults
+    };
+  }
+
+  /**
+   * Get the live config for a bot (defaults merged with the latest stored version)
+   * @param {string} botId
+   * @returns {object}
+   */
+  getConfig(botId = botsConfig.defaultBotId) {
+    return this.getCurrent(botId).config;
+  }
+
+  /**
+   * Get the live config with its version info
+   * Only overrides are stored, so env and built-in defaults apply to every
+   * field a PUT never set, even after the defaults change
+   * @param {string} botId
+   * @returns {{botId: string, version: number, updatedAt: string|null, overrides: object, config: object}}
+   */
+  getCurrent(botId = botsConfig.defaultBotId) {
+    if (this.cache.has(botId)) {
+      return this.cache.get(botId);
+    }
+
+    const row = this.db.prepare(`
+      SELECT version, config, created_at FROM bot_config_versions
+      WHERE bot_id = ?
+      ORDER BY version DESC
+      LIMIT 1
+    `).get(botId);
+
+    const overrides = row ? JSON.parse(row.config) : {};
+    const current = {
+      botId,
+      version: row ? row.version : 0,
+      updatedAt: row ? row.created_at : null,
+      overrides,
+      config: { ...this.getDefaults(botId), ...overrides }
+    };
+
+    this.cache.set(botId, current);
+    return current;
+  }
+
+  /**
+   * Update a bot's config (fields not given keep their current value)
+   * The new version stores the previous overrides plus these updates, not the merged defaults
+   * @param {string} botId
+   * @param {object} updates - Partial config
+   * @param {string} [updatedBy]
+   * @returns {{botId: string, version: number, updatedAt: string, overrides: object, config: object}}
+   * @throws {Error} With .details (array of messages) when validation fails
+   */
+  updateConfig(botId, updates, updatedBy = null) {
+    const errors = this.validate(updates);
+    if (errors.length > 0) {
+      const error = new Error('Invalid bot configuration');
+      error.details = errors;
+      throw error;
+    }
+
+    const overrides = { ...this.getCurrent(botId).overrides, ...updates };
+
+    const insert = this.db.transaction(() => {
+      const { maxVersion } = this.db.prepare(`
+        SELECT COALESCE(MAX(version), 0) AS maxVersion FROM bot_config_versions WHERE bot_id = ?
+      `).get(botId);
+
+      this.db.prepare(`
+        INSERT INTO bot_config_versions (bot_id, version, config, updated_by)
+        VALUES (?, ?, ?, ?)
+      `).run(botId, maxVersion + 1, JSON.stringify(overrides), updatedBy);
+    });
+
+    insert();
+
+    // Reload so the next chat request sees the new version
+    this.cache.delete(botId);
+    const current = this.getCurrent(botId);
+
+    console.log(`⚙️  Bot config "${botId}" updated to v${current.version}`);
+    return current;
+  }
+
+  /**
+   * Get version history for a bot (newest first)
+   * @param {string} botId
+   * @param {number} limit
+   * @returns {Array<{version: number, config: object, updated_by: string|null, created_at: string}>} config: the fields set by PUT
+   */
+  getHistory(botId = botsConfig.defaultBotId, limit = 50) {
+    return this.db.prepare(`
+      SELECT version, config, updated_by, created_at FROM bot_config_versions
+      WHERE bot_id = ?
+      ORDER BY version DESC
+      LIMIT ?
+    `).all(botId, limit).map(row => ({
+      ...row,
+      config: JSON.parse(row.config)
+    }));
+  }
+
+  /**
+   * Validate a (partial) config object
+   * @param {object} updates
+   * @returns {Array<string>} Error messages (empty if valid)
+   */
+  validate(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      return ['Config must be a JSON object'];
+    }
+
+    const errors = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      const rule = SCHEMA[key];
+
+      if (!rule) {
+        errors.push(`Unknown field "${key}"`);
+        return;
+      }
+
+      if (rule.type === 'string') {
+        if (typeof value !== 'string') {
+          errors.push(`"${key}" must be a string`);
+        } else if (value.length > rule.maxLength) {
+          errors.push(`"${key}" must be at most ${rule.maxLength} characters`);
+        } else if (rule.minLength && value.trim().length < rule.minLength) {
+          errors.push(`"${key}" must not be empty`);
+        } else if (rule.enum && !rule.enum.includes(value)) {
+          errors.push(`"${key}" must be one of: ${rule.enum.join(', ')}`);
+        }
+        return;
+      }
+
+      if (rule.type === 'dictionary') {
+        errors.push(...this.validateDictionary(key, value, rule));
+        return;
+      }
+
+      const isValidNumber = typeof value === 'number' && Number.isFinite(value) &&
+        (rule.type !== 'integer' || Number.isInteger(value));
+
+      if (!isValidNumber) {
+        errors.push(`"${key}" must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+      } else if (value < rule.min || value > rule.max) {
+        errors.push(`"${key}" must be between ${rule.min} and ${rule.max}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate a term -> equivalents dictionary ({ "ehs": ["environment health and safety"] })
+   * @param {string} key - Field name (for messages)
+   * @param {*} value
+   * @param {{maxEntries: number, maxLength: number}} rule
+   * @returns {Array<string>} Error messages
+   */
+  validateDictionary(key, value, rule) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return [`"${key}" must be an object of term -> array of strings`];
+    }
+
+    const entries = Object.entries(value);
+    if (entries.length > rule.maxEntries) {
+      return [`"${key}" must have at most ${rule.maxEntries} entries`];
+    }
+
+    const isPhrase = phrase => typeof phrase === 'string' && phrase.trim().length > 0 && phrase.length <= rule.maxLength;
+
+    return entries
+      .filter(([term, equivalents]) => !isPhrase(term) || !Array.isArray(equivalents) ||
+        equivalents.length === 0 || !equivalents.every(isPhrase))
+      .map(([term]) => `"${key}.${term}" must be a non-empty array of strings (max ${rule.maxLength} characters each)`);
+  }
+}
+
+module.exports = new BotConfigService();
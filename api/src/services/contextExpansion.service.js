@@ -0,0 +1,229 @@
+/**
+ * Context Expansion Service
+ * Widens retrieved chunks before prompting: each hit is joined with its
+ * neighbouring chunks on the same page (or the whole page when it is short),
+ * overlapping windows are merged into one passage, and the additions stay
+ * within a token budget. One instance per bot, bound to the bot's collection
+ */
+
+const vectorStoreService = require('./vectorStore.service');
+const botsConfig = require('../config/bots.config');
+
+// botId -> ContextExpansionService
+const instances = new Map();
+
+class ContextExpansionService {
+  /**
+   * @param {string} botId - Bot whose collection neighbours are read from
+   */
+  constructor(botId = botsConfig.defaultBotId) {
+    this.botId = botId;
+    this.vectorStore = vectorStoreService.forBot(botId);
+  }
+
+  /**
+   * Get the context expansion service for a bot
+   * @param {string} botId
+   * @returns {ContextExpansionService}
+   */
+  forBot(botId) {
+    if (!instances.has(botId)) {
+      instances.set(botId, new ContextExpansionService(botId));
+    }
+    return instances.get(botId);
+  }
+
+  /**
+   * Expand retrieved chunks with adjacent chunks of the same page
+   * @param {Array} results - Final retrieval results, best first
+   * @param {object} settings
+   * @param {number} settings.neighbours - Chunks added on each side of a hit (0 = off)
+   * @param {number} settings.fullPageChunks - Pages with at most this many chunks are used whole (0 = off)
+   * @param {number} settings.maxTokens - Context budget; expansions that don't fit are skipped
+   * @returns {Promise<Array>} Passages, best first. Expanded ones carry
+   *   expanded: {from, to, chunk_ids} and the merged text
+   */
+  async expand(results, { neighbours = 0, fullPageChunks = 0, maxTokens = 4000 } = {}) {
+    if ((neighbours <= 0 && fullPageChunks <= 0) || results.length === 0) {
+      return results;
+    }
+
+    // Chunk indexes wanted per page
+    const wanted = new Map();
+    results.forEach(hit => {
+      const total = hit.metadata?.total_chunks;
+      const index = this.chunkIndexOf(hit);
+      if (!hit.url || index === undefined || !total || total <= 1) return;
+
+      const range = total <= fullPageChunks
+        ? [0, total - 1]
+        : [Math.max(0, index - neighbours), Math.min(total - 1, index + neighbours)];
+
+      if (!wanted.has(hit.url)) wanted.set(hit.url, new Set());
+      for (let i = range[0]; i <= range[1]; i++) wanted.get(hit.url).add(i);
+    });
+
+    if (wanted.size === 0) {
+      return results;
+    }
+
+    // Fetch every page's missing chunks
+    const pages = new Map();
+    for (const [url, indexes] of wanted) {
+      const chunks = await this.vectorStore.getChunksByUrl(url, [...indexes]);
+      pages.set(url, new Map(chunks.map(chunk => [chunk.chunk_index, chunk])));
+    }
+
+    // Contiguous runs of wanted chunks per page, each holding one or more hits
+    const runs = this.buildRuns(results, wanted, pages);
+
+    // Original hits always fit; expansions only while the budget allows
+    let usedTokens = results.reduce((sum, hit) => sum + this.estimateTokens(hit.text), 0);
+    const passages = [];
+
+    runs.forEach(run => {
+      const hitTokens = run.hits.reduce((sum, hit) => sum + this.estimateTokens(hit.text), 0);
+      const text = this.mergeTexts(run.chunks.map(chunk => chunk.text));
+      const extraTokens = this.estimateTokens(text) - hitTokens;
+
+      if (run.chunks.length <= 1 || usedTokens + extraTokens > maxTokens) {
+        passages.push(...run.hits);
+        return;
+      }
+
+      usedTokens += extraTokens;
+      passages.push({
+        ...run.hits[0],
+        text,
+        expanded: {
+          from: run.chunks[0].chunk_index,
+          to: run.chunks[run.chunks.length - 1].chunk_index,
+          chunk_ids: run.chunks.map(chunk => chunk.id)
+        }
+      });
+    });
+
+    const expandedCount = passages.filter(p => p.expanded).length;
+    if (expandedCount > 0) {
+      console.log(`  📖 Expanded ${expandedCount} passages with neighbouring chunks (~${usedTokens} tokens)`);
+    }
+
+    // Keep the ranking of each passage's best hit
+    const rank = new Map(results.map((hit, i) => [hit.id, i]));
+    return passages.sort((a, b) => rank.get(a.id) - rank.get(b.id));
+  }
+
+  /**
+   * Group wanted chunks into contiguous runs per page and attach the hits
+   * they contain (hits best first, so run.hits[0] represents the passage)
+   * @param {Array} results
+   * @param {Map<string, Set<number>>} wanted
+   * @param {Map<string, Map<number, object>>} pages
+   * @returns {Array<{hits: Array, chunks: Array}>} Ordered by best hit
+   */
+  buildRuns(results, wanted, pages) {
+    const runs = [];
+    const runByHit = new Map();
+
+    wanted.forEach((indexes, url) => {
+      const chunks = pages.get(url);
+      let current = null;
+
+      [...indexes].sort((a, b) => a - b).forEach(index => {
+        const chunk = chunks.get(index);
+
+        // A missing chunk (deleted, not yet re-ingested) breaks the run
+        if (!chunk) {
+          current = null;
+          return;
+        }
+
+        if (!current || current.lastIndex !== index - 1) {
+          current = { url, chunks: [], hits: [], lastIndex: null };
+          runs.push(current);
+        }
+
+        current.chunks.push(chunk);
+        current.lastIndex = index;
+        runByHit.set(`${url}#${index}`, current);
+      });
+    });
+
+    const ordered = [];
+    results.forEach(hit => {
+      const run = runByHit.get(`${hit.url}#${this.chunkIndexOf(hit)}`);
+
+      // Hits that could not be expanded stay as they are
+      if (!run) {
+        ordered.push({ hits: [hit], chunks: [] });
+        return;
+      }
+
+      if (run.hits.length === 0) ordered.push(run);
+      run.hits.push(hit);
+    });
+
+    return ordered;
+  }
+
+  /**
+   * Join consecutive chunk texts, dropping the overlap the chunker repeats
+   * at the start of each chunk
+   * @param {Array<string>} texts
+   * @returns {string}
+   */
+  mergeTexts(texts) {
+    return texts.reduce((merged, text) => {
+      if (!merged) return text;
+
+      const overlap = this.findOverlap(merged, text);
+      return overlap > 0
+        ? merged + text.slice(overlap)
+        : `${merged} ${text}`;
+    }, '');
+  }
+
+  /**
+   * Length of the longest prefix of `next` that `previous` ends with
+   * @param {string} previous
+   * @param {string} next
+   * @returns {number}
+   */
+  findOverlap(previous, next) {
+    const probe = next.slice(0, Math.min(40, next.length));
+    let position = previous.indexOf(probe, Math.max(0, previous.length - next.length));
+
+    while (position !== -1) {
+      const tail = previous.slice(position);
+      if (next.startsWith(tail)) {
+        return tail.length;
+      }
+      position = previous.indexOf(probe, position + 1);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Position of a hit in its page (semantic hits have it top-level, BM25-only hits in metadata)
+   * @param {object} hit
+   * @returns {number|undefined}
+   */
+  chunkIndexOf(hit) {
+    return hit.chunk_index ?? hit.metadata?.chunk_index;
+  }
+
+  /**
+   * Estimate tokens (rough: 1 token ≈ 4 characters, same as the chunker)
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+// Export singleton instance (default bot); other bots via forBot()
+const contextExpansionService = new ContextExpansionService();
+instances.set(contextExpansionService.botId, contextExpansionService);
+module.exports = contextExpansionService;
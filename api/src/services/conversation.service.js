@@ -0,0 +1,154 @@
+/**
+ * Conversation Service
+ * Keeps a rolling, expiring chat history per sessionId so follow-up
+ * questions can be resolved against earlier turns
+ */
+
+const NodeCache = require('node-cache');
+
+class ConversationService {
+  constructor() {
+    // Bounds (configurable via env)
+    this.maxTurns = parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 6;       // Question/answer pairs kept per session
+    this.maxTokens = parseInt(process.env.CONVERSATION_MAX_TOKENS, 10) || 600;   // History budget in the prompt
+    this.ttl = parseInt(process.env.CONVERSATION_TTL_SECONDS, 10) || 1800;       // Idle sessions expire after 30 min
+    this.maxSessions = parseInt(process.env.CONVERSATION_MAX_SESSIONS, 10) || 5000; // Least recently active sessions are evicted beyond this
+
+    // No maxKeys: node-cache would then refuse every set, updates included.
+    // addTurn enforces maxSessions itself by evicting the oldest session.
+    this.store = new NodeCache({
+      stdTTL: this.ttl,
+      checkperiod: 300,
+      useClones: false
+    });
+  }
+
+  /**
+   * Get stored turns for a session (oldest first)
+   * @param {string} sessionId
+   * @returns {Array<{question: string, answer: string, timestamp: string}>}
+   */
+  getHistory(sessionId) {
+    if (!sessionId) return [];
+    return this.store.get(sessionId) || [];
+  }
+
+  /**
+   * Get the most recent turns that fit within the prompt token budget
+   * @param {string} sessionId
+   * @param {number} maxTokens - Token budget (defaults to CONVERSATION_MAX_TOKENS)
+   * @returns {Array<{question: string, answer: string, timestamp: string}>} Oldest first
+   */
+  getRecentTurns(sessionId, maxTokens = this.maxTokens) {
+    const history = this.getHistory(sessionId);
+    const recent = [];
+    let tokenCount = 0;
+
+    // Walk backwards from the newest turn until the budget is used up
+    for (let i = history.length - 1; i >= 0; i--) {
+      const turnTokens = this.estimateTokens(history[i].question) + this.estimateTokens(history[i].answer);
+
+      if (tokenCount + turnTokens > maxTokens) {
+        break;
+      }
+
+      recent.unshift(history[i]);
+      tokenCount += turnTokens;
+    }
+
+    return recent;
+  }
+
+  /**
+   * Append a question/answer turn (refreshes the session TTL)
+   * @param {string} sessionId
+   * @param {string} question
+   * @param {string} answer
+   */
+  addTurn(sessionId, question, answer) {
+    if (!sessionId) return;
+
+    const history = this.getHistory(sessionId).concat({
+      question,
+      answer,
+      timestamp: new Date().toISOString()
+    });
+
+    // Make room for a new session
+    if (!this.store.has(sessionId) && this.store.keys().length >= this.maxSessions) {
+      this.evictOldest();
+    }
+
+    // Keep only the newest maxTurns
+    this.store.set(sessionId, history.slice(-this.maxTurns));
+  }
+
+  /**
+   * Drop the least recently active session
+   * Every set refreshes the TTL, so the earliest expiry is the oldest activity
+   */
+  evictOldest() {
+    let oldestKey = null;
+    let oldestTtl = Infinity;
+
+    for (const key of this.store.keys()) {
+      const ttl = this.store.getTtl(key);
+      if (ttl !== undefined && ttl < oldestTtl) {
+        oldestKey = key;
+        oldestTtl = ttl;
+      }
+    }
+
+    if (oldestKey !== null) {
+      this.store.del(oldestKey);
+    }
+  }
+
+  /**
+   * Forget a session's history
+   * @param {string} sessionId
+   */
+  clearHistory(sessionId) {
+    this.store.del(sessionId);
+  }
+
+  /**
+   * Heuristic: does the question depend on earlier turns?
+   * Catches pronouns/references ("it", "that", "they") and elliptical openers
+   * ("and pricing?", "what about support?"). Length alone is not a signal:
+   * "What is Knowella pricing?" is short but standalone
+   * @param {string} question
+   * @returns {boolean}
+   */
+  isFollowUp(question) {
+    if (/^\s*(and|or|but|so|what about|how about)\b/i.test(question)) {
+      return true;
+    }
+
+    return /\b(it|its|that|this|those|these|they|them|their|he|she|more|else|also|another|above|previous|same)\b/i.test(question);
+  }
+
+  /**
+   * Estimate tokens (rough: 1 token ≈ 4 characters, same as the chunker)
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Get store statistics
+   * @returns {object}
+   */
+  getStats() {
+    return {
+      activeSessions: this.store.keys().length,
+      maxTurns: this.maxTurns,
+      maxTokens: this.maxTokens,
+      ttlSeconds: this.ttl
+    };
+  }
+}
+
+module.exports = new ConversationService();
@@ -4,11 +4,19 @@
  */
 
 const axios = require('axios');
+const NodeCache = require('node-cache');
 
 class EmbeddingsService {
   constructor() {
     this.ollamaUrl = process.env.OLLAMA_URL || 'http://ollama:11434';
     this.model = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+
+    // Recent question embeddings (the answer cache and retrieval embed the same question)
+    this.queryCache = new NodeCache({
+      stdTTL: 600,
+      maxKeys: 1000,
+      useClones: false
+    });
   }
 
   /**
@@ -35,6 +43,27 @@ class EmbeddingsService {
     }
   }
 
+  /**
+   * Embedding for a user question, memoized for a few minutes
+   * @param {string} text
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async generateQueryEmbedding(text) {
+    const key = text.trim();
+    const cached = this.queryCache.get(key);
+    if (cached) return cached;
+
+    const embedding = await this.generateEmbedding(key);
+
+    try {
+      this.queryCache.set(key, embedding);
+    } catch (error) {
+      // Cache full (maxKeys) - just don't memoize
+    }
+
+    return embedding;
+  }
+
   /**
    * Generate embeddings for multiple texts (batch)
    * @param {Array<string>} texts 
@@ -0,0 +1,290 @@
+/**
+ * Grounding Service
+ * Checks that a generated answer is supported by the retrieved chunks:
+ * numbers, named entities and sentence-level claims are matched against the
+ * chunk text (lexical), with an optional LLM judge on top
+ */
+
+const llmService = require('./llm.service');
+
+// Weights for the lexical score (categories with nothing to check are skipped)
+const CHECK_WEIGHTS = { numbers: 0.4, entities: 0.2, claims: 0.4 };
+
+// Capitalized words that are not entities on their own
+const ENTITY_STOPWORDS = new Set(['I', 'The', 'A', 'An', 'This', 'That', 'These', 'Those', 'It', 'Its', 'We', 'You', 'Your', 'Our', 'They', 'Question']);
+
+class GroundingService {
+  constructor() {
+    this.enabled = process.env.GROUNDING_ENABLED !== 'false';
+    this.useJudge = process.env.GROUNDING_LLM_JUDGE === 'true';
+    this.minScore = parseFloat(process.env.GROUNDING_MIN_SCORE) || 0.5;
+    this.claimOverlap = parseFloat(process.env.GROUNDING_CLAIM_OVERLAP) || 0.5;
+    this.replaceUngrounded = process.env.GROUNDING_REPLACE_UNGROUNDED === 'true';
+    this.fallbackAnswer = process.env.GROUNDING_FALLBACK_ANSWER || '';  // Empty = getFallbackAnswer's default
+  }
+
+  /**
+   * Answer that replaces a poorly grounded one (GROUNDING_FALLBACK_ANSWER, or
+   * a default naming the bot's organization)
+   * @param {string} [organization] - Who the bot answers about (bots.config.js)
+   * @returns {string}
+   */
+  getFallbackAnswer(organization) {
+    if (this.fallbackAnswer) return this.fallbackAnswer;
+
+    return organization
+      ? `I'm not confident I can answer that accurately from ${organization}'s content. Please contact ${organization} directly for details.`
+      : "I'm not confident I can answer that accurately from the available content. Please contact us directly for details.";
+  }
+
+  /**
+   * Validate an answer against the chunks it was generated from
+   * @param {string} answer
+   * @param {Array<{text: string, title: string}>} chunks
+   * @param {{analyze: function(string): Array<string>}} analyzer - The bot's BM25 analyzer (claim overlap)
+   * @returns {Promise<{score: number, grounded: boolean, unsupported: Array<{type: string, text: string}>, checks: object, judge_score?: number}>}
+   */
+  async validate(answer, chunks, analyzer) {
+    // "I don't have that information" is always grounded
+    if (/don'?t have (that|enough) information/i.test(answer)) {
+      return { score: 1, grounded: true, refusal: true, unsupported: [], checks: {} };
+    }
+
+    const contextText = chunks.map(c => `${c.title || ''}\n${c.text}`).join('\n');
+    const answerText = this.cleanAnswer(answer);
+
+    const numbers = this.checkNumbers(answerText, contextText);
+    const entities = this.checkEntities(answerText, contextText);
+    const claims = this.checkClaims(answerText, contextText, analyzer);
+    const checks = { numbers, entities, claims };
+
+    let score = this.lexicalScore(checks);
+    const result = {
+      score,
+      grounded: true,
+      unsupported: [
+        ...numbers.unsupported.map(text => ({ type: 'number', text })),
+        ...entities.unsupported.map(text => ({ type: 'entity', text })),
+        ...claims.unsupported.map(text => ({ type: 'claim', text }))
+      ],
+      checks: {
+        numbers: { total: numbers.total, supported: numbers.supported },
+        entities: { total: entities.total, supported: entities.supported },
+        claims: { total: claims.total, supported: claims.supported }
+      }
+    };
+
+    if (this.useJudge) {
+      const judgeScore = await this.judge(answerText, chunks);
+      if (judgeScore !== null) {
+        result.judge_score = judgeScore;
+        score = (score + judgeScore) / 2;
+      }
+    }
+
+    result.score = Math.round(score * 1000) / 1000;
+    result.grounded = result.score >= this.minScore;
+
+    return result;
+  }
+
+  /**
+   * Strip citation markers, section headers and markdown before checking
+   * @param {string} answer
+   * @returns {string}
+   */
+  cleanAnswer(answer) {
+    return answer
+      .replace(/\s?\[\d+(?:\s*,\s*\d+)*\]/g, '')              // [1], [2, 3]
+      .replace(/\*\*Question \d+:[^*]*\*\*/g, '')             // Multi-question headers
+      .replace(/^\s*(?:\d+[.)]|[-*•])\s+/gm, '')              // List numbering / bullets
+      .replace(/[*_`#]/g, '')
+      .replace(/\n---\n/g, '\n');
+  }
+
+  /**
+   * Numbers, percentages and multipliers ("70%", "1.8x", "2,000") must appear in the context
+   * @param {string} answerText
+   * @param {string} contextText
+   * @returns {{total: number, supported: number, unsupported: Array<string>}}
+   */
+  checkNumbers(answerText, contextText) {
+    const contextNumbers = new Set(this.extractNumbers(contextText).map(n => n.normalized));
+    const contextValues = new Set(this.extractNumbers(contextText).map(n => n.value));
+
+    const unsupported = [];
+    const answerNumbers = this.extractNumbers(answerText);
+
+    answerNumbers.forEach(n => {
+      // Unit-less numbers only need the bare value; "70%" needs "70%"/"70 percent"
+      const found = n.unit ? contextNumbers.has(n.normalized) : contextValues.has(n.value);
+      if (!found) {
+        unsupported.push(n.raw);
+      }
+    });
+
+    return {
+      total: answerNumbers.length,
+      supported: answerNumbers.length - unsupported.length,
+      unsupported: [...new Set(unsupported)]
+    };
+  }
+
+  /**
+   * Extract numbers with their unit (% or x)
+   * @param {string} text
+   * @returns {Array<{raw: string, value: string, unit: string, normalized: string}>}
+   */
+  extractNumbers(text) {
+    const numbers = [];
+    const pattern = /(?<![\w.])(\d[\d,]*(?:\.\d+)?)\s*(%|percent\b|x\b)?/gi;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const value = match[1].replace(/,/g, '');
+      const unitRaw = (match[2] || '').toLowerCase();
+      const unit = unitRaw === 'percent' ? '%' : unitRaw;
+
+      numbers.push({
+        raw: match[0].trim(),
+        value,
+        unit,
+        normalized: value + unit
+      });
+    }
+
+    return numbers;
+  }
+
+  /**
+   * Capitalized names and acronyms ("OSHA", "Microsoft Teams") must appear in the context
+   * Sentence-initial single words are skipped (capitalized by grammar, not because they are names)
+   * @param {string} answerText
+   * @param {string} contextText
+   * @returns {{total: number, supported: number, unsupported: Array<string>}}
+   */
+  checkEntities(answerText, contextText) {
+    const lowerContext = contextText.toLowerCase();
+    const entities = new Set();
+
+    this.splitSentences(answerText).forEach(sentence => {
+      const pattern = /\b[A-Z][A-Za-z0-9&'-]*(?:\s+[A-Z][A-Za-z0-9&'-]*)*/g;
+      let match;
+
+      while ((match = pattern.exec(sentence)) !== null) {
+        // "The Knowella Platform's" → "Knowella Platform"
+        const words = match[0].trim().replace(/'s$/, '').split(/\s+/);
+        const leading = words.findIndex(w => !ENTITY_STOPWORDS.has(w));
+        if (leading === -1) continue;
+
+        const entity = words.slice(leading).join(' ');
+        const isSentenceStart = leading === 0 && sentence.slice(0, match.index).trim() === '';
+        const isSingleWord = words.length - leading === 1;
+        const isAcronym = /^[A-Z0-9&]{2,}$/.test(entity);
+
+        if (isSentenceStart && isSingleWord && !isAcronym) continue;
+
+        entities.add(entity);
+      }
+    });
+
+    const unsupported = [...entities].filter(e => !lowerContext.includes(e.toLowerCase()));
+
+    return {
+      total: entities.size,
+      supported: entities.size - unsupported.length,
+      unsupported
+    };
+  }
+
+  /**
+   * Each sentence must share enough content tokens with the context
+   * @param {string} answerText
+   * @param {string} contextText
+   * @param {{analyze: function(string): Array<string>}} analyzer - Content tokens (stemmed, stopwords dropped)
+   * @returns {{total: number, supported: number, unsupported: Array<string>}}
+   */
+  checkClaims(answerText, contextText, analyzer) {
+    const contextTokens = new Set(analyzer.analyze(contextText));
+    const unsupported = [];
+    let total = 0;
+
+    this.splitSentences(answerText).forEach(sentence => {
+      const tokens = [...new Set(analyzer.analyze(sentence))];
+
+      // Too short to judge ("Yes.", "Sure!")
+      if (tokens.length < 3) return;
+
+      total++;
+      const overlap = tokens.filter(t => contextTokens.has(t)).length / tokens.length;
+
+      if (overlap < this.claimOverlap) {
+        unsupported.push(sentence.trim());
+      }
+    });
+
+    return { total, supported: total - unsupported.length, unsupported };
+  }
+
+  /**
+   * Weighted share of supported items across check categories
+   * @param {object} checks
+   * @returns {number} 0-1 (1 when there was nothing to check)
+   */
+  lexicalScore(checks) {
+    let weighted = 0;
+    let weightSum = 0;
+
+    Object.entries(CHECK_WEIGHTS).forEach(([name, weight]) => {
+      const { total, supported } = checks[name];
+      if (total === 0) return;
+
+      weighted += weight * (supported / total);
+      weightSum += weight;
+    });
+
+    return weightSum > 0 ? weighted / weightSum : 1;
+  }
+
+  /**
+   * Ask the LLM to rate how well the context supports the answer
+   * @param {string} answerText
+   * @param {Array} chunks
+   * @returns {Promise<number|null>} 0-1, or null if the judge call failed
+   */
+  async judge(answerText, chunks) {
+    const systemPrompt = `You check whether an ANSWER is fully supported by the CONTEXT. Reply with a single integer from 0 (unsupported or invented) to 10 (every fact is in the context). Output only the number.`;
+
+    const context = chunks
+      .map((c, i) => `[${i + 1}] ${llmService.truncate(c.text, 800)}`)
+      .join('\n\n');
+
+    const userPrompt = `CONTEXT:\n${context}\n\nANSWER:\n${answerText}\n\nSCORE:`;
+
+    try {
+      const reply = await llmService.generate(systemPrompt, userPrompt, { maxTokens: 5 });
+      const match = reply.match(/\d+(?:\.\d+)?/);
+      if (!match) return null;
+
+      return Math.min(Math.max(parseFloat(match[0]) / 10, 0), 1);
+
+    } catch (error) {
+      console.error('❌ Grounding judge error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Split text into sentences
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  splitSentences(text) {
+    return text
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(s => s.trim())
+      .filter(s => s.length > 0);
+  }
+}
+
+module.exports = new GroundingService();
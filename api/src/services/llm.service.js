@@ -7,6 +7,13 @@
  */
 
 const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+// Inline citation marker: [1], [2, 3] and [2,3], with its optional leading whitespace
+const CITATION_MARKER = /\s?\[(\d+(?:\s*,\s*\d+)*)\]/;
+
+// Longest unfinished marker held back while streaming before it is sent as plain text
+const MAX_PENDING_MARKER = 24;
 
 class LLMService {
   constructor() {
@@ -27,45 +34,197 @@ class LLMService {
 
   /**
    * Generate RAG response
+   * @param {string} question
+   * @param {Array} retrievedChunks
+   * @param {object} botConfig
+   * @param {object} [options]
+   * @param {Array} [options.history] - Prior {question, answer} turns to include in the prompt
+   * @returns {Promise<{answer: string, citations: Array}>} Citations only for [n] markers used in the answer
    */
-  async generateRAGResponse(question, retrievedChunks, botConfig = {}) {
-    const systemPrompt = this.buildSystemPrompt(retrievedChunks, botConfig);
+  async generateRAGResponse(question, retrievedChunks, botConfig = {}, { history = [] } = {}) {
+    const systemPrompt = this.buildSystemPrompt(retrievedChunks, botConfig, history);
 
     // 🔥 OPTIMIZED: Shorter user prompt
-    const userPrompt = `Question: ${question}\n\nAnswer using only the context above. If not found, say "I don't have that information."`;
+    const userPrompt = this.buildUserPrompt(question);
 
     try {
-      let answer;
+      const rawAnswer = await this.generate(systemPrompt, userPrompt, { model: botConfig.model });
+
+      return this.extractCitations(rawAnswer, retrievedChunks);
+
+    } catch (error) {
+      console.error('❌ Error generating LLM response:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate RAG response, streaming answer tokens as they are produced
+   * @param {string} question
+   * @param {Array} retrievedChunks
+   * @param {object} botConfig
+   * @param {object} [options]
+   * @param {Array} [options.history] - Prior {question, answer} turns to include in the prompt
+   * @param {function(string): void} options.onToken - Called with each answer token
+   * @param {AbortSignal} [options.signal] - Aborts the upstream request (e.g. client disconnect)
+   * @returns {Promise<{answer: string, citations: Array}>}
+   */
+  async generateRAGResponseStream(question, retrievedChunks, botConfig = {}, { history = [], onToken, signal } = {}) {
+    const systemPrompt = this.buildSystemPrompt(retrievedChunks, botConfig, history);
+    const userPrompt = this.buildUserPrompt(question);
+
+    try {
+      let rawAnswer;
+
+      // Markers are held back until complete so invalid ones never reach the client
+      const citationStream = this.createCitationStream(retrievedChunks.length, onToken);
+      const streamOptions = { onToken: citationStream.write, signal, model: botConfig.model };
 
       if (this.provider === 'groq') {
-        answer = await this.callGroq(systemPrompt, userPrompt);
+        rawAnswer = await this.callGroqStream(systemPrompt, userPrompt, streamOptions);
       } else {
-        answer = await this.callOllama(systemPrompt, userPrompt);
+        rawAnswer = await this.callOllamaStream(systemPrompt, userPrompt, streamOptions);
       }
 
-      const citations = this.extractCitations(retrievedChunks);
-      return { answer, citations };
+      citationStream.end();
+
+      return this.extractCitations(rawAnswer.trim(), retrievedChunks);
 
     } catch (error) {
-      console.error('❌ Error generating LLM response:', error.message);
+      console.error('❌ Error streaming LLM response:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Rewrite a follow-up question into a standalone search query using prior turns
+   * Falls back to the original question if the LLM call fails
+   * @param {string} question - Latest user question
+   * @param {Array<{question: string, answer: string}>} history - Prior turns (oldest first)
+   * @param {object} [bot] - Bot context
+   * @param {string} [bot.organization] - Who the bot answers about (e.g. "Knowella")
+   * @param {string} [bot.model] - Bot config model override
+   * @returns {Promise<string>}
+   */
+  async rewriteQuestion(question, history, { organization, model } = {}) {
+    if (!history || history.length === 0) {
+      return question;
+    }
+
+    const systemPrompt = `Rewrite the user's latest question as a single standalone question${this.about(organization)}, resolving pronouns and references using the conversation. Output ONLY the rewritten question.`;
+
+    const conversation = history
+      .map(turn => `User: ${turn.question}\nAssistant: ${this.truncate(turn.answer, 300)}`)
+      .join('\n');
+
+    const userPrompt = `CONVERSATION:\n${conversation}\n\nLATEST QUESTION: ${question}\n\nSTANDALONE QUESTION:`;
+
+    try {
+      const rewritten = (await this.generate(systemPrompt, userPrompt, { maxTokens: 60, model }))
+        .split('\n')[0]
+        .replace(/^(standalone question:|question:)\s*/i, '')
+        .replace(/^["']|["']$/g, '')
+        .trim();
+
+      return rewritten.length >= 3 ? rewritten : question;
+
+    } catch (error) {
+      console.error('❌ Error rewriting question:', error.message);
+      return question;
+    }
+  }
+
+  /**
+   * Reword a question for multi-query retrieval
+   * @param {string} question
+   * @param {number} count - Number of variants wanted
+   * @param {{organization: string, model: string}} [bot] - Bot context (see rewriteQuestion)
+   * @returns {Promise<Array<string>>} Up to count distinct variants (empty on failure)
+   */
+  async generateQueryVariants(question, count, { organization, model } = {}) {
+    const systemPrompt = `Write ${count} different search queries that would find website content answering the user's question${this.about(organization)}. Use different wording and synonyms; keep each query short. Output one query per line, nothing else.`;
+
+    try {
+      const reply = await this.generate(systemPrompt, `QUESTION: ${question}\n\nQUERIES:`, { maxTokens: count * 30, model });
+      const seen = new Set([question.toLowerCase().trim()]);
+
+      return reply
+        .split('\n')
+        .map(line => line.replace(/^\s*(\d+[.)]|[-*•])\s*/, '').replace(/^["']|["']$/g, '').trim())
+        .filter(line => {
+          const key = line.toLowerCase();
+          if (line.length < 3 || seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .slice(0, count);
+
+    } catch (error) {
+      console.error('❌ Error generating query variants:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Write a short hypothetical answer to embed in place of (or next to) the
+   * question (HyDE): a passage-shaped query lands closer to passage embeddings
+   * than "pricing?" does. It may be factually wrong; only its wording is used
+   * @param {string} question
+   * @param {{organization: string, model: string}} [bot] - Bot context (see rewriteQuestion)
+   * @returns {Promise<string|null>} The passage, or null on failure
+   */
+  async generateHypotheticalAnswer(question, { organization, model } = {}) {
+    const systemPrompt = `Write a short passage (2-3 sentences) from ${organization ? `${organization}'s` : 'the'} website that would answer the user's question. Write it as website content, not as a reply; no preamble.`;
+
+    try {
+      const passage = (await this.generate(systemPrompt, `QUESTION: ${question}\n\nPASSAGE:`, { maxTokens: 120, model })).trim();
+      return passage.length >= 10 ? passage : null;
+
+    } catch (error) {
+      console.error('❌ Error generating hypothetical answer:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * " about <organization>" for a prompt, or nothing when the bot names none
+   * @param {string} [organization]
+   * @returns {string}
+   */
+  about(organization) {
+    return organization ? ` about ${organization}` : '';
+  }
+
+  /**
+   * Single non-streaming completion with the configured provider
+   * @param {string} systemPrompt
+   * @param {string} userPrompt
+   * @param {object} [options]
+   * @param {number} [options.maxTokens] - Cap on generated tokens
+   * @param {string} [options.model] - Model override (empty = provider default)
+   * @returns {Promise<string>}
+   */
+  async generate(systemPrompt, userPrompt, options = {}) {
+    if (this.provider === 'groq') {
+      return this.callGroq(systemPrompt, userPrompt, options);
+    }
+    return this.callOllama(systemPrompt, userPrompt, options);
+  }
+
   /**
    * Groq call (Chat format)
    */
-  async callGroq(systemPrompt, userPrompt) {
+  async callGroq(systemPrompt, userPrompt, { maxTokens = 300, model } = {}) {
     const response = await axios.post(
       this.groqUrl,
       {
-        model: this.groqModel,
+        model: model || this.groqModel,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.1,    // 🔥 Even lower for speed
-        max_tokens: 300,     // 🔥 Reduced from 400
+        max_tokens: maxTokens, // 🔥 Reduced from 400
         top_p: 0.9
       },
       {
@@ -83,11 +242,11 @@ class LLMService {
   /**
    * 🔥 OPTIMIZED Ollama call
    */
-  async callOllama(systemPrompt, userPrompt) {
+  async callOllama(systemPrompt, userPrompt, { maxTokens = 250, model } = {}) {
     const response = await axios.post(
       `${this.ollamaUrl}/api/chat`,
       {
-        model: this.model,
+        model: model || this.model,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
@@ -95,7 +254,7 @@ class LLMService {
         options: {
           temperature: 0,
           top_p: 0.9,
-          num_predict: 250,        // 🔥 Reduced from 350
+          num_predict: maxTokens,  // 🔥 Reduced from 350
           num_ctx: 2048,           // 🔥 Smaller context window
           repeat_penalty: 1.1,
           top_k: 40
@@ -109,15 +268,157 @@ class LLMService {
     return response.data.message.content.trim();
   }
 
+  /**
+   * Groq streaming call (OpenAI-compatible SSE: "data: {...}" lines, ends with "data: [DONE]")
+   * @returns {Promise<string>} Full answer text
+   */
+  async callGroqStream(systemPrompt, userPrompt, { onToken, signal, model }) {
+    const response = await axios.post(
+      this.groqUrl,
+      {
+        model: model || this.groqModel,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        temperature: 0.1,
+        max_tokens: 300,
+        top_p: 0.9,
+        stream: true
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.groqApiKey}`,
+          'Content-Type': 'application/json'
+        },
+        responseType: 'stream',
+        timeout: 30000,
+        signal
+      }
+    );
+
+    let answer = '';
+
+    await this.readLines(response.data, line => {
+      if (!line.startsWith('data:')) return;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+      if (token) {
+        answer += token;
+        onToken(token);
+      }
+    });
+
+    return answer;
+  }
+
+  /**
+   * Ollama streaming call (newline-delimited JSON, one message fragment per line)
+   * @returns {Promise<string>} Full answer text
+   */
+  async callOllamaStream(systemPrompt, userPrompt, { onToken, signal, model }) {
+    const response = await axios.post(
+      `${this.ollamaUrl}/api/chat`,
+      {
+        model: model || this.model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        options: {
+          temperature: 0,
+          top_p: 0.9,
+          num_predict: 250,
+          num_ctx: 2048,
+          repeat_penalty: 1.1,
+          top_k: 40
+        },
+        stream: true,
+        keep_alive: '5m'
+      },
+      {
+        responseType: 'stream',
+        timeout: 60000,            // Time to first byte; tokens keep the socket alive afterwards
+        signal
+      }
+    );
+
+    let answer = '';
+
+    await this.readLines(response.data, line => {
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      const token = data.message?.content;
+      if (token) {
+        answer += token;
+        onToken(token);
+      }
+    });
+
+    return answer;
+  }
+
+  /**
+   * Read a response stream line by line
+   * @param {import('stream').Readable} stream
+   * @param {function(string): void} onLine - Called with each non-empty line
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  readLines(stream, onLine) {
+    return new Promise((resolve, reject) => {
+      // Holds back bytes of a character split across chunks
+      const decoder = new StringDecoder('utf8');
+      let buffer = '';
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        stream.destroy();
+        reject(error);
+      };
+
+      const handle = (line) => {
+        line = line.trim();
+        if (failed || !line) return;
+        try {
+          onLine(line);
+        } catch (error) {
+          fail(error);
+        }
+      };
+
+      stream.on('data', chunk => {
+        if (failed) return;
+        buffer += decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handle);
+      });
+
+      stream.on('end', () => {
+        handle(buffer + decoder.end());
+        if (!failed) resolve();
+      });
+
+      stream.on('error', fail);
+    });
+  }
 
   /**
    * 🔥 OPTIMIZED: Shorter, more concise system prompt
    */
-  buildSystemPrompt(chunks, botConfig) {
-    const { tone, rules } = botConfig;
+  buildSystemPrompt(chunks, botConfig, history = []) {
+    const { assistantName, tone, rules } = botConfig;
 
     // 🔥 Minimal prompt - 50% shorter
-    let prompt = `You are Knowella AI assistant. ${tone || 'Be helpful and concise.'}\n\n`;
+    let prompt = `You are ${assistantName || 'Knowella AI assistant'}. ${tone || 'Be helpful and concise.'}\n\n`;
 
     if (rules) {
       prompt += `${rules}\n\n`;
@@ -127,7 +428,17 @@ class LLMService {
 1. Answer using ONLY the context below
 2. If not found, say "I don't have that information"
 3. Be concise and accurate
-4. Never invent facts\n\n`;
+4. Never invent facts
+5. Cite the context blocks you used inline, e.g. [1] or [2][3]\n\n`;
+
+    // Prior turns so follow-ups ("how much does it cost?") make sense
+    if (history.length > 0) {
+      prompt += `CONVERSATION SO FAR:\n`;
+      history.forEach(turn => {
+        prompt += `User: ${turn.question}\nAssistant: ${turn.answer}\n`;
+      });
+      prompt += `\n`;
+    }
 
     prompt += `CONTEXT:\n\n`;
 
@@ -140,23 +451,150 @@ class LLMService {
   }
 
   /**
-   * Backend citation extraction
+   * User prompt for a RAG question
+   * @param {string} question
+   * @returns {string}
    */
-  extractCitations(chunks) {
-    const uniqueUrls = new Set();
-    const citations = [];
+  buildUserPrompt(question) {
+    return `Question: ${question}\n\nAnswer using only the context above and cite blocks as [n]. If not found, say "I don't have that information."`;
+  }
 
-    chunks.forEach(chunk => {
-      if (!uniqueUrls.has(chunk.url)) {
-        uniqueUrls.add(chunk.url);
-        citations.push({
-          url: chunk.url,
-          title: chunk.title
-        });
-      }
+  /**
+   * Describe every context block by its [n] marker (sent before generation when streaming)
+   * @param {Array} chunks - Chunks in prompt order
+   * @returns {Array<{marker: number, url: string, title: string, section_heading: string, chunk_id: number}>}
+   */
+  buildSources(chunks) {
+    return chunks.map((chunk, idx) => ({
+      marker: idx + 1,
+      url: chunk.url,
+      title: chunk.title,
+      section_heading: chunk.metadata?.section_heading || '',
+      chunk_id: chunk.id
+    }));
+  }
+
+  /**
+   * Map inline [n] markers in the answer back to the context blocks they cite
+   * Markers pointing at nonexistent blocks are stripped from the answer
+   * @param {string} answer - Raw LLM answer
+   * @param {Array} chunks - Chunks in prompt order ([1] = chunks[0])
+   * @returns {{answer: string, citations: Array<{marker: number, url: string, title: string, section_heading: string, chunk_id: number}>}}
+   */
+  extractCitations(answer, chunks) {
+    const sources = this.buildSources(chunks);
+    const cited = new Set();
+
+    const cleaned = answer.replace(new RegExp(CITATION_MARKER.source, 'g'), (match, group) => {
+      const { text, valid } = this.rewriteMarker(match, group, sources.length);
+      valid.forEach(n => cited.add(n));
+      return text;
     });
 
-    return citations;
+    // Citations in order of first use
+    const citations = [...cited].map(n => sources[n - 1]);
+
+    return { answer: cleaned.trim(), citations };
+  }
+
+  /**
+   * Rewrite one [n] marker, keeping only numbers that point at a context block
+   * @param {string} match - Marker with its optional leading whitespace
+   * @param {string} group - Numbers inside the brackets ("2, 3")
+   * @param {number} sourceCount - Number of context blocks
+   * @returns {{text: string, valid: number[]}} Empty text if no number is valid
+   */
+  rewriteMarker(match, group, sourceCount) {
+    const valid = group
+      .split(',')
+      .map(n => parseInt(n.trim(), 10))
+      .filter(n => n >= 1 && n <= sourceCount);
+
+    if (valid.length === 0) {
+      return { text: '', valid };
+    }
+
+    return { text: `${match.startsWith(' ') ? ' ' : ''}[${valid.join(', ')}]`, valid };
+  }
+
+  /**
+   * Wrap a token callback so streamed [n] markers match extractCitations
+   * Text that could still become a marker is held back until it is complete
+   * (or clearly not a marker); invalid markers are dropped, not sent
+   * @param {number} sourceCount - Number of context blocks
+   * @param {function(string): void} onToken - Receives the cleaned text
+   * @returns {{write: function(string): void, end: function(): void}}
+   */
+  createCitationStream(sourceCount, onToken) {
+    let pending = '';
+
+    const send = (text) => {
+      if (text) onToken(text);
+    };
+
+    const drain = (final) => {
+      while (pending) {
+        const bracket = pending.indexOf('[');
+
+        if (bracket === -1) {
+          // A trailing space may belong to a marker in the next token
+          const keep = !final && /\s$/.test(pending) ? 1 : 0;
+          send(pending.slice(0, pending.length - keep));
+          pending = pending.slice(pending.length - keep);
+          return;
+        }
+
+        const start = bracket > 0 && /\s/.test(pending[bracket - 1]) ? bracket - 1 : bracket;
+        send(pending.slice(0, start));
+        pending = pending.slice(start);
+
+        const marker = pending.match(CITATION_MARKER);
+        if (marker && marker.index === 0) {
+          send(this.rewriteMarker(marker[0], marker[1], sourceCount).text);
+          pending = pending.slice(marker[0].length);
+          continue;
+        }
+
+        if (!final && pending.length <= MAX_PENDING_MARKER && /^\s?\[[\d,\s]*$/.test(pending)) {
+          return;   // Wait for the rest of the marker
+        }
+
+        // Not a marker: release up to and including the bracket
+        const released = pending.indexOf('[') + 1;
+        send(pending.slice(0, released));
+        pending = pending.slice(released);
+      }
+    };
+
+    return {
+      write: (token) => {
+        pending += token;
+        drain(false);
+      },
+      end: () => drain(true)
+    };
+  }
+
+  /**
+   * Truncate text to a maximum length at a word boundary
+   * @param {string} text
+   * @param {number} maxLength
+   * @returns {string}
+   */
+  truncate(text, maxLength) {
+    if (!text || text.length <= maxLength) return text || '';
+
+    const lastSpace = text.lastIndexOf(' ', maxLength);
+    return text.substring(0, lastSpace > 0 ? lastSpace : maxLength) + '...';
+  }
+
+  /**
+   * Name of the model a request will use
+   * @param {string} [model] - Bot config override
+   * @returns {string}
+   */
+  getModelName(model) {
+    return model || (this.provider === 'groq' ? this.groqModel : this.model);
   }
 
   /**
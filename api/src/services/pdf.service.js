@@ -1,6 +1,6 @@
 /**
  * PDF Service
- * Handles PDF file parsing and question extraction
+ * Handles PDF file parsing, question extraction and answer documents
  */
 
 const { PDFParse } = require('pdf-parse');
@@ -108,6 +108,33 @@ class PDFService {
     };
   }
 
+  /**
+   * Build a downloadable Markdown document from answered questions
+   * @param {string} filename - Original PDF filename
+   * @param {Array<{question: string, answer: string, citations: Array}>} results
+   * @returns {string}
+   */
+  buildAnswerDocument(filename, results) {
+    let doc = `# Answers: ${filename}\n\n`;
+    doc += `_Generated ${new Date().toISOString()} from Knowella's website content._\n\n`;
+
+    results.forEach((result, index) => {
+      doc += `## ${index + 1}. ${result.question}\n\n`;
+      doc += `${result.answer}\n\n`;
+
+      if (result.citations.length > 0) {
+        doc += `**Sources:**\n`;
+        result.citations.forEach(citation => {
+          const marker = citation.marker !== undefined ? `[${citation.marker}] ` : '';
+          doc += `- ${marker}[${citation.title}](${citation.url})\n`;
+        });
+        doc += `\n`;
+      }
+    });
+
+    return doc;
+  }
+
   /**
    * Validate PDF file
    * @param {object} file - Multer file object
@@ -0,0 +1,204 @@
+/**
+ * Query Expansion Service
+ * Expands the BM25 side of hybrid search with terms taken from the bot's own
+ * corpus instead of hardcoded keyword lists:
+ * - related terms: words that co-occur with the query terms in indexed chunks,
+ *   ranked by normalized PMI and added with a reduced weight
+ * - synonyms/acronyms: admin-managed dictionary from the bot config
+ *   ({ "ehs": ["environment health and safety"] }), applied both ways
+ * One instance per bot, bound to the bot's BM25 index
+ */
+
+const bm25Service = require('./bm25.service');
+const botsConfig = require('../config/bots.config');
+
+// botId -> QueryExpansionService
+const instances = new Map();
+
+class QueryExpansionService {
+  /**
+   * @param {string} botId - Bot whose BM25 corpus is used
+   */
+  constructor(botId = botsConfig.defaultBotId) {
+    this.botId = botId;
+    this.bm25 = bm25Service.forBot(botId);
+
+    // Weight of a related term relative to a query term (scaled by its NPMI)
+    this.termWeight = parseFloat(process.env.QUERY_EXPANSION_WEIGHT) || 0.5;
+    this.minCooccurrence = parseInt(process.env.QUERY_EXPANSION_MIN_COOCCURRENCE, 10) || 2;
+    this.minNpmi = parseFloat(process.env.QUERY_EXPANSION_MIN_NPMI) || 0.2;
+
+    // Rebuilt whenever the BM25 index is rebuilt or reloaded
+    this.corpus = null;
+    this.relatedCache = new Map();
+  }
+
+  /**
+   * Get the query expansion service for a bot
+   * @param {string} botId
+   * @returns {QueryExpansionService}
+   */
+  forBot(botId) {
+    if (!instances.has(botId)) {
+      instances.set(botId, new QueryExpansionService(botId));
+    }
+    return instances.get(botId);
+  }
+
+  /**
+   * Expand a question for BM25
+   * @param {string} question
+   * @param {object} [options]
+   * @param {number} [options.terms] - Max related terms from the corpus (0 = off)
+   * @param {object} [options.synonyms] - term/acronym -> array of equivalents
+   * @returns {{query: string, extraTerms: Array<{term: string, weight: number}>, synonyms: Array<string>}}
+   *   query: question plus matched synonyms (full weight); extraTerms: weighted related terms
+   */
+  expand(question, { terms = 0, synonyms = {} } = {}) {
+    const synonymPhrases = this.matchSynonyms(question, synonyms);
+    const query = synonymPhrases.length > 0 ? `${question} ${synonymPhrases.join(' ')}` : question;
+
+    const extraTerms = terms > 0 ? this.relatedTerms(this.bm25.tokenize(query), terms) : [];
+
+    return { query, extraTerms, synonyms: synonymPhrases };
+  }
+
+  /**
+   * Dictionary entries whose key or one of whose values appears in the question
+   * (whole words, case-insensitive); returns the other side(s) of each entry
+   * @param {string} question
+   * @param {object} synonyms
+   * @returns {Array<string>}
+   */
+  matchSynonyms(question, synonyms = {}) {
+    const text = ` ${question.toLowerCase().replace(/[^\w\s-]/g, ' ').replace(/\s+/g, ' ')} `;
+    const contains = phrase => text.includes(` ${phrase.toLowerCase().trim()} `);
+    const added = new Set();
+
+    Object.entries(synonyms).forEach(([key, values]) => {
+      const group = [key, ...values];
+      if (!group.some(contains)) return;
+
+      group
+        .filter(phrase => !contains(phrase))
+        .forEach(phrase => added.add(phrase));
+    });
+
+    return [...added];
+  }
+
+  /**
+   * Corpus terms most associated with the query tokens
+   * @param {Array<string>} queryTokens - Analyzed query
+   * @param {number} limit
+   * @returns {Array<{term: string, weight: number}>} Best first
+   */
+  relatedTerms(queryTokens, limit) {
+    const corpus = this.getCorpus();
+    if (!corpus) return [];
+
+    const queryTerms = new Set(queryTokens);
+    const best = new Map();
+
+    queryTerms.forEach(token => {
+      this.getRelated(token, corpus).forEach(({ term, npmi }) => {
+        if (queryTerms.has(term)) return;
+        if (!best.has(term) || best.get(term) < npmi) {
+          best.set(term, npmi);
+        }
+      });
+    });
+
+    return [...best.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([term, npmi]) => ({
+        term,
+        weight: Math.round(this.termWeight * npmi * 1000) / 1000
+      }));
+  }
+
+  /**
+   * Terms co-occurring with one token (same chunk), by normalized PMI:
+   * npmi = log(p(t,u) / (p(t) p(u))) / -log(p(t,u)), in [-1, 1]
+   * Very common terms (in over half the chunks) carry no signal and are skipped
+   * @param {string} token
+   * @param {object} corpus - From getCorpus()
+   * @returns {Array<{term: string, npmi: number}>}
+   */
+  getRelated(token, corpus) {
+    if (this.relatedCache.has(token)) {
+      return this.relatedCache.get(token);
+    }
+
+    const postings = corpus.postings.get(token);
+    const N = corpus.size;
+    let related = [];
+
+    if (postings && postings.length < N / 2) {
+      const cooccurrence = new Map();
+
+      postings.forEach(docIdx => {
+        corpus.documentSets[docIdx].forEach(term => {
+          if (term !== token) {
+            cooccurrence.set(term, (cooccurrence.get(term) || 0) + 1);
+          }
+        });
+      });
+
+      cooccurrence.forEach((count, term) => {
+        const df = corpus.postings.get(term).length;
+        if (count < this.minCooccurrence || df >= N / 2 || /^[\d.]+$/.test(term)) return;
+
+        const pJoint = count / N;
+        const npmi = Math.log(pJoint / ((postings.length / N) * (df / N))) / -Math.log(pJoint);
+
+        if (npmi >= this.minNpmi) {
+          related.push({ term, npmi: Math.round(npmi * 1000) / 1000 });
+        }
+      });
+
+      related = related.sort((a, b) => b.npmi - a.npmi).slice(0, 20);
+    }
+
+    this.relatedCache.set(token, related);
+    return related;
+  }
+
+  /**
+   * Per-chunk term sets and term -> chunk postings, taken from the BM25
+   * inverted index (and rebuilt when the index is rebuilt or reloaded)
+   * @returns {{size: number, documentSets: Array<Set<string>>, postings: Map<string, Array<number>>}|null}
+   */
+  getCorpus() {
+    const index = this.bm25.bm25;
+
+    if (!index || index.docCount === 0) {
+      return null;
+    }
+
+    if (this.corpus && this.corpus.generation === this.bm25.generation) {
+      return this.corpus;
+    }
+
+    // Indexed by document slot (removed chunks leave empty sets until the index is compacted)
+    const documentSets = Array.from({ length: index.docLengths.length }, () => new Set());
+    const postings = new Map();
+
+    index.postings.forEach(({ docs }, term) => {
+      postings.set(term, docs);
+      docs.forEach(docIdx => documentSets[docIdx].add(term));
+    });
+
+    this.corpus = { generation: this.bm25.generation, size: index.docCount, documentSets, postings };
+    this.relatedCache.clear();
+
+    console.log(`  🧩 Query expansion corpus: ${index.docCount} chunks, ${postings.size} terms`);
+    return this.corpus;
+  }
+}
+
+// Export singleton instance (default bot); other bots via forBot()
+const queryExpansionService = new QueryExpansionService();
+instances.set(queryExpansionService.botId, queryExpansionService);
+module.exports = queryExpansionService;
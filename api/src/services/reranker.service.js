@@ -0,0 +1,174 @@
+/**
+ * Reranker Service
+ * Re-scores the fused candidate pool against the question before truncation.
+ * Methods:
+ * - cross-encoder: local cross-encoder (e.g. bge-reranker-base) behind a
+ *   text-embeddings-inference /rerank endpoint, runs on CPU
+ * - llm: Ollama model rates each passage 0-10 in a single prompt
+ * - lexical: question-term coverage (no model, always available)
+ * - none: keep the RRF order
+ * cross-encoder and llm fall back to lexical when the call fails
+ */
+
+const axios = require('axios');
+const llmService = require('./llm.service');
+
+const METHODS = ['none', 'lexical', 'cross-encoder', 'llm'];
+
+class RerankerService {
+  constructor() {
+    this.crossEncoderUrl = process.env.RERANKER_URL || 'http://reranker:80';
+    this.llmModel = process.env.RERANKER_LLM_MODEL || '';  // Empty = LLM_MODEL
+    this.timeoutMs = parseInt(process.env.RERANKER_TIMEOUT_MS, 10) || 10000;
+  }
+
+  /**
+   * Rerank candidates for a question
+   * @param {string} question
+   * @param {Array<{text: string, title: string}>} candidates - Fused retrieval results
+   * @param {string} method - One of METHODS
+   * @param {{analyze: function(string): Array<string>}} analyzer - The bot's BM25 analyzer (lexical scoring)
+   * @returns {Promise<Array>} Candidates with rerank_score (0-1), best first
+   */
+  async rerank(question, candidates, method = 'none', analyzer) {
+    if (method === 'none' || candidates.length === 0) {
+      return candidates;
+    }
+
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown reranker "${method}"`);
+    }
+
+    let scores;
+    let usedMethod = method;
+
+    try {
+      if (method === 'cross-encoder') {
+        scores = await this.crossEncoderScores(question, candidates);
+      } else if (method === 'llm') {
+        scores = await this.llmScores(question, candidates);
+      } else {
+        scores = this.lexicalScores(question, candidates, analyzer);
+      }
+    } catch (error) {
+      console.warn(`  ⚠️  ${method} reranker failed (${error.message}), using lexical`);
+      scores = this.lexicalScores(question, candidates, analyzer);
+      usedMethod = 'lexical';
+    }
+
+    const reranked = candidates
+      .map((candidate, i) => ({
+        ...candidate,
+        rerank_score: Math.round(scores[i] * 1000) / 1000,
+        reranker: usedMethod
+      }))
+      .sort((a, b) => b.rerank_score - a.rerank_score);
+
+    console.log(`  🎯 Reranked ${reranked.length} candidates (${usedMethod}), top: ${reranked[0].rerank_score.toFixed(3)}`);
+
+    return reranked;
+  }
+
+  /**
+   * Cross-encoder relevance via text-embeddings-inference POST /rerank
+   * @param {string} question
+   * @param {Array} candidates
+   * @returns {Promise<Array<number>>} Score per candidate (0-1)
+   */
+  async crossEncoderScores(question, candidates) {
+    const response = await axios.post(`${this.crossEncoderUrl}/rerank`, {
+      query: question,
+      texts: candidates.map(c => this.passageText(c, 2000)),
+      truncate: true
+    }, {
+      timeout: this.timeoutMs
+    });
+
+    // Response: [{ index, score }] sorted by score
+    const scores = new Array(candidates.length).fill(0);
+    response.data.forEach(({ index, score }) => {
+      scores[index] = score;
+    });
+
+    return scores;
+  }
+
+  /**
+   * Ask the Ollama model to rate every passage in one prompt
+   * @param {string} question
+   * @param {Array} candidates
+   * @returns {Promise<Array<number>>} Score per candidate (0-1)
+   */
+  async llmScores(question, candidates) {
+    const systemPrompt = `You rate how well each PASSAGE answers the QUESTION. For every passage output one line "<number>: <score>", where score is 0 (irrelevant) to 10 (directly answers the question). Output only those lines.`;
+
+    const passages = candidates
+      .map((c, i) => `[${i + 1}] ${this.passageText(c, 400)}`)
+      .join('\n\n');
+
+    const userPrompt = `QUESTION: ${question}\n\nPASSAGES:\n${passages}\n\nSCORES:`;
+
+    const reply = await llmService.callOllama(systemPrompt, userPrompt, {
+      maxTokens: candidates.length * 8,
+      model: this.llmModel
+    });
+
+    const scores = new Array(candidates.length).fill(0);
+    const pattern = /^\s*\[?(\d+)\]?\s*[:=-]\s*(\d+(?:\.\d+)?)/gm;
+    let parsed = 0;
+    let match;
+
+    while ((match = pattern.exec(reply)) !== null) {
+      const index = parseInt(match[1], 10) - 1;
+      if (index >= 0 && index < candidates.length) {
+        scores[index] = Math.min(parseFloat(match[2]) / 10, 1);
+        parsed++;
+      }
+    }
+
+    if (parsed === 0) {
+      throw new Error('no scores in LLM reply');
+    }
+
+    return scores;
+  }
+
+  /**
+   * Share of question terms found in the passage (title matches count extra)
+   * @param {string} question
+   * @param {Array} candidates
+   * @param {{analyze: function(string): Array<string>}} analyzer - The bot's BM25 analyzer
+   * @returns {Array<number>} Score per candidate (0-1)
+   */
+  lexicalScores(question, candidates, analyzer) {
+    const terms = text => analyzer.analyze(text || '');
+    const questionTokens = [...new Set(terms(question))];
+
+    if (questionTokens.length === 0) {
+      return candidates.map(() => 0);
+    }
+
+    return candidates.map(candidate => {
+      const textTokens = new Set(terms(candidate.text));
+      const titleTokens = new Set(terms(candidate.title));
+
+      const textCoverage = questionTokens.filter(t => textTokens.has(t)).length / questionTokens.length;
+      const titleCoverage = questionTokens.filter(t => titleTokens.has(t)).length / questionTokens.length;
+
+      return 0.8 * textCoverage + 0.2 * titleCoverage;
+    });
+  }
+
+  /**
+   * Title + text, truncated for the reranker input
+   * @param {{title: string, text: string}} candidate
+   * @param {number} maxLength
+   * @returns {string}
+   */
+  passageText(candidate, maxLength) {
+    const text = (candidate.title ? candidate.title + '\n' : '') + (candidate.text || '');
+    return llmService.truncate(text, maxLength);
+  }
+}
+
+module.exports = new RerankerService();
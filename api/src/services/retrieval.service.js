@@ -1,15 +1,46 @@
 /**
  * Retrieval Service
- * Handles hybrid search (BM25 + Semantic) with Reciprocal Rank Fusion
+ * Handles hybrid search (BM25 + Semantic) with configurable fusion
+ * (weighted RRF, convex combination, semantic-gated) and an absolute
+ * relevance gate on the raw cosine / BM25 scores. The BM25 query is expanded
+ * from the corpus and synonym dictionary, and LLM-generated query variants can
+ * be searched too and fused back in with RRF. The semantic query can be the
+ * question, a hypothetical answer (HyDE), their average, or both fused.
+ * Quoted phrases (and +required/-excluded clauses, for admin searches) are
+ * parsed out of the question and handled by BM25
  */
 
 const embeddingsService = require('./embeddings.service');
 const vectorStoreService = require('./vectorStore.service');
 const bm25Service = require('./bm25.service');
+const rerankerService = require('./reranker.service');
+const queryExpansionService = require('./queryExpansion.service');
+const contextExpansionService = require('./contextExpansion.service');
+const llmService = require('./llm.service');
+const botsConfig = require('../config/bots.config');
+const { parseKeywordQuery, hasConstraints } = require('../utils/keywordQuery');
 const NodeCache = require('node-cache');
+const crypto = require('crypto');
+
+// botId -> RetrievalService
+const instances = new Map();
+
+const FUSION_MODES = ['rrf', 'convex', 'semantic-gated'];
+
+// How the semantic side embeds the question (see embedQuery)
+const QUERY_STRATEGIES = ['question', 'hyde', 'average', 'fusion'];
 
 class RetrievalService {
-  constructor() {
+  /**
+   * @param {string} botId - Bot whose collection and BM25 index are searched
+   */
+  constructor(botId = botsConfig.defaultBotId) {
+    this.botId = botId;
+    this.vectorStore = vectorStoreService.forBot(botId);
+    this.bm25 = bm25Service.forBot(botId);
+    this.queryExpansion = queryExpansionService.forBot(botId);
+    this.contextExpansion = contextExpansionService.forBot(botId);
+
     // LRU cache for retrieval results (1 hour TTL)
     this.cache = new NodeCache({
       stdTTL: 3600,  // 1 hour
@@ -19,49 +50,170 @@ class RetrievalService {
 
     // Hybrid search configuration
     this.hybridEnabled = true;  // Set to false to use semantic-only
-    this.rrfK = 60;  // Reciprocal Rank Fusion constant
+    this.rrfK = 60;  // Reciprocal Rank Fusion constant (default, per-bot override via fusion.rrfK)
+
+    // Index generation the cached results were computed on (see getIndexGeneration)
+    this.cacheGeneration = null;
+  }
+
+  /**
+   * Get the retrieval service for a bot (each bot has its own cache)
+   * @param {string} botId
+   * @returns {RetrievalService}
+   */
+  forBot(botId) {
+    if (!instances.has(botId)) {
+      instances.set(botId, new RetrievalService(botId));
+    }
+    return instances.get(botId);
   }
 
   /**
-   * Retrieve relevant chunks using hybrid search (BM25 + Semantic)
+   * Retrieve relevant chunks using hybrid search (BM25 + Semantic),
+   * optionally reranked before truncating to topK
    * @param {string} question - User's question
    * @param {number} topK - Number of chunks to retrieve
    * @param {number} similarityThreshold - Minimum similarity score (0-1)
-   * @returns {Promise<Array>}
+   * @param {object} [options]
+   * @param {object} [options.timings] - Filled with embed_ms, search_ms, bm25_ms, rerank_ms (or cached: true)
+   * @param {string} [options.reranker] - 'none', 'lexical', 'cross-encoder' or 'llm'
+   * @param {number} [options.rerankCandidates] - Pool size handed to the reranker
+   * @param {object} [options.fusion] - Fusion mode, weights and relevance gate (see fuseResults)
+   * @param {object|null} [options.filters] - Normalized metadata filters (see utils/retrievalFilters),
+   *   applied to both the semantic and the BM25 side
+   * @param {object} [options.expansion] - Query expansion: terms (corpus related terms, 0 = off),
+   *   synonyms (dictionary), multiQuery (LLM query variants, 0 = off)
+   * @param {object} [options.diversity] - lambda (MMR relevance/diversity trade-off, 1 = off)
+   *   and maxPerUrl (chunks kept per page, 0 = no cap), applied to the candidate pool
+   * @param {object} [options.context] - Context expansion of the final chunks: neighbours,
+   *   fullPageChunks, maxTokens (see ContextExpansionService.expand)
+   * @param {string} [options.queryStrategy] - Semantic query: 'question', 'hyde', 'average'
+   *   or 'fusion' (see embedQuery); query variants always use the question
+   * @param {object|null} [options.explain] - When given, filled with every step's
+   *   intermediate results (query, semantic/BM25 lists, fusion, per-candidate
+   *   decisions, cache status); the cache is then neither read nor written
+   * @param {boolean} [options.keywordOperators] - Read +required and -excluded clauses
+   *   in the question (see utils/keywordQuery); quoted phrases are always read
+   * @param {object} [options.llm] - Bot context for the HyDE and query variant prompts:
+   *   organization (who the bot answers about) and model (bot config override)
+   * @returns {Promise<Array>} Chunks with score (fused), semantic_score, bm25_score;
+   *   reranked chunks also carry rerank_score, expanded passages carry expanded
    */
-  async retrieve(question, topK = 5, similarityThreshold = 0.3) {
+  async retrieve(question, topK = 5, similarityThreshold = 0.3, { timings = {}, reranker = 'none', rerankCandidates = 20, fusion = {}, filters = null, expansion = {}, diversity = {}, context = {}, queryStrategy = 'question', explain = null, keywordOperators = false, llm = {} } = {}) {
     try {
+      fusion = this.getFusionSettings(fusion);
+      if (!QUERY_STRATEGIES.includes(queryStrategy)) queryStrategy = 'question';
+      timings.query_strategy = queryStrategy;
+
+      // BM25 gets the query syntax; embeddings, variants and reranking get the plain text
+      const keywordQuery = parseKeywordQuery(question, { operators: keywordOperators });
+      const searchQuestion = keywordQuery.text;
+
+      // Results cached before the last upsert/delete/BM25 rebuild may point at
+      // deleted chunks or stale text
+      const generation = this.getIndexGeneration();
+      if (generation !== this.cacheGeneration) {
+        if (this.cacheGeneration !== null && this.cache.keys().length > 0) {
+          console.log(`🔄 Index changed (generation ${this.cacheGeneration} → ${generation}), dropping cached results`);
+        }
+        this.cache.del(this.cache.keys());  // flushAll() would also reset hit stats
+        this.cacheGeneration = generation;
+      }
+
       // Check cache first
-      const cacheKey = this.getCacheKey(question, topK);
-      const cached = this.cache.get(cacheKey);
+      const cacheKey = this.getCacheKey(question, topK, { generation, reranker, rerankCandidates, ...fusion, filters, expansion, diversity, context, queryStrategy, keywordOperators, llm });
+      const cached = explain ? null : this.cache.get(cacheKey);
+
+      if (explain) {
+        explain.cache = { status: this.cache.has(cacheKey) ? 'hit' : 'miss', generation };
+      }
 
       if (cached) {
         console.log(`💾 Cache hit for question: "${question.substring(0, 50)}..."`);
+        timings.cached = true;
         return cached;
       }
 
-      console.log(`🔍 Retrieving chunks for: "${question}"`);
+      console.log(`🔍 Retrieving chunks for: "${question}"${filters ? ` (filters: ${JSON.stringify(filters)})` : ''}`);
+
+      if (!searchQuestion.trim()) {
+        console.warn('  ⚠️  Nothing to search once excluded clauses are removed');
+        timings.no_relevant_chunks = true;
+        return [];
+      }
 
       let results;
 
-      if (this.hybridEnabled) {
-        // Use hybrid search (BM25 + Semantic with RRF)
-        results = await this.hybridSearch(question, topK * 2); // Get more candidates for fusion
+      // Reranking and diversity selection look at a wider pool, then keep topK
+      const diversify = diversity.lambda < 1 || diversity.maxPerUrl > 0;
+      const poolSize = reranker === 'none' && !diversify ? topK : Math.max(topK, rerankCandidates);
 
-        // Take top K after fusion
-        results = results.slice(0, topK);
+      // Hybrid search (BM25 + Semantic, fused) gets more candidates for fusion
+      const search = (query, searchTimings, strategy = 'question', searchExplain = null) => this.hybridEnabled
+        ? this.hybridSearch(query, Math.max(topK * 2, poolSize), searchTimings, fusion, filters, expansion, strategy, searchExplain, keywordQuery, llm)
+        : this.semanticSearch(query, poolSize, similarityThreshold, searchTimings, filters, strategy, searchExplain, keywordQuery, llm);
 
+      results = await search(searchQuestion, timings, queryStrategy, explain);
+
+      if (expansion.multiQuery > 0) {
+        results = await this.searchQueryVariants(searchQuestion, results, search, expansion.multiQuery, timings, llm);
+      }
+
+      // Every fused candidate, and the step that dropped it (explain only)
+      const candidates = explain ? this.explainCandidates(results) : null;
+      const step = (name, before, after) => {
+        if (candidates) this.markDropped(candidates, name, before, after);
+        return after;
+      };
+
+      // Take the candidate pool after fusion
+      results = step('pool_size', results, results.slice(0, poolSize));
+
+      if (this.hybridEnabled) {
         // Filter by similarity threshold (using fused score)
-        results = results.filter(r => r.score >= similarityThreshold);
-      } else {
-        // Use semantic-only search
-        results = await this.semanticSearch(question, topK, similarityThreshold);
+        results = step('similarity_threshold', results, results.filter(r => r.score >= similarityThreshold));
+      }
+
+      // Drop chunks whose raw scores say they are not actually relevant
+      results = step('relevance_gate', results, this.applyRelevanceGate(results, fusion));
+
+      if (reranker !== 'none' && results.length > 0) {
+        const rerankStart = Date.now();
+        results = await rerankerService.rerank(searchQuestion, results, reranker, this.bm25.analyzer);
+        timings.rerank_ms = Date.now() - rerankStart;
+
+        if (candidates) {
+          results.forEach(result => { candidates.get(result.id).rerank_score = result.rerank_score; });
+        }
+      }
+
+      if (diversify && results.length > 0) {
+        const diversityStart = Date.now();
+        results = step('diversity', results, await this.selectDiverse(results, topK, diversity));
+        timings.diversity_ms = Date.now() - diversityStart;
+      }
+
+      results = step('top_k', results, results.slice(0, topK));
+
+      if (candidates) {
+        results.forEach((result, i) => {
+          candidates.get(result.id).final_rank = i + 1;
+        });
+        explain.candidates = [...candidates.values()];
+      }
+
+      // Widen the final chunks with their neighbours on the page
+      if (results.length > 0 && (context.neighbours > 0 || context.fullPageChunks > 0)) {
+        const contextStart = Date.now();
+        results = await this.contextExpansion.expand(results, context);
+        timings.context_ms = Date.now() - contextStart;
       }
 
       console.log(`  ✓ Found ${results.length} relevant chunks (threshold: ${similarityThreshold})`);
 
       if (results.length === 0) {
         console.warn(`  ⚠️  No chunks above threshold!`);
+        timings.no_relevant_chunks = true;
       }
 
       // Log top results for debugging
@@ -69,8 +221,10 @@ class RetrievalService {
         console.log(`  ${i + 1}. ${result.title} (score: ${result.score.toFixed(3)})`);
       });
 
-      // Cache the results
-      this.cache.set(cacheKey, results);
+      // Cache the results (explain runs don't, they may differ from what chat would cache)
+      if (!explain) {
+        this.cache.set(cacheKey, results);
+      }
 
       return results;
 
@@ -81,225 +235,639 @@ class RetrievalService {
   }
 
   /**
-   * Hybrid search using BM25 + Semantic with Reciprocal Rank Fusion
+   * Hybrid search using BM25 + Semantic, fused per fusion.mode
    * @param {string} question - User's question
    * @param {number} topK - Number of results to return
+   * @param {object} [timings] - Filled with embed_ms, search_ms, bm25_ms (and hyde_ms)
+   * @param {object} [fusion] - Fusion settings (see getFusionSettings)
+   * @param {object|null} [filters] - Metadata filters for both searches
+   * @param {object} [expansion] - BM25 query expansion settings (terms, synonyms)
+   * @param {string} [strategy] - Semantic query strategy (see embedQuery)
+   * @param {object|null} [explain] - Filled with query, semantic, bm25 and fusion
+   * @param {object|null} [keywordQuery] - Parsed query syntax (see utils/keywordQuery):
+   *   phrases for BM25, required/excluded clauses for both searches
+   * @param {object} [llm] - Bot context for the HyDE prompt (see embedQuery)
    * @returns {Promise<Array>}
    */
-  async hybridSearch(question, topK = 10) {
-    console.log(`  🔀 Hybrid Search (BM25 + Semantic with RRF)`);
+  async hybridSearch(question, topK = 10, timings = {}, fusion = this.getFusionSettings(), filters = null, expansion = {}, strategy = 'question', explain = null, keywordQuery = null, llm = {}) {
+    console.log(`  🔀 Hybrid Search (BM25 + Semantic, ${fusion.mode} fusion)`);
 
     // 1. Get semantic results first (has all metadata)
-    const questionEmbedding = await embeddingsService.generateEmbedding(question);
-    const semanticResults = await vectorStoreService.search(questionEmbedding, topK);
+    const queryEmbeddings = await this.embedQuery(question, strategy, timings, llm);
+
+    let stepStart = Date.now();
+    const semanticResults = this.applyClauses(await this.searchVectors(queryEmbeddings, topK, filters), keywordQuery);
+    timings.search_ms = Date.now() - stepStart;
     console.log(`  🧠 Semantic returned ${semanticResults.length} results`);
 
-    // 2. Expand query for better BM25 keyword matching
-    const expandedQuery = this.expandQuery(question);
-    if (expandedQuery !== question) {
-      console.log(`  🔍 Query expanded: "${expandedQuery.substring(0, 80)}..."`);
+    // 2. Expand query for better BM25 keyword matching (synonyms + related corpus terms)
+    stepStart = Date.now();
+    const { query, extraTerms, synonyms } = this.queryExpansion.expand(question, expansion);
+    if (extraTerms.length > 0 || synonyms.length > 0) {
+      timings.expansion = { synonyms, terms: extraTerms };
     }
 
-    // 3. Get BM25 results with expanded query
-    const bm25Results = bm25Service.search(expandedQuery, topK);
+    // 3. Get BM25 results with expanded query (zero scores = no term matched)
+    const bm25Results = this.bm25.search(query, topK, filters, extraTerms, keywordQuery).filter(r => r.score > 0);
+    timings.bm25_ms = Date.now() - stepStart;
     console.log(`  📊 BM25 returned ${bm25Results.length} results`);
 
-    // 4. Fetch full metadata for BM25-only results
+    // 4. Fetch full metadata (and vectors, for the raw cosine) for BM25-only results
     const bm25OnlyIds = bm25Results
       .map(r => r.id)
       .filter(id => !semanticResults.some(sr => sr.id === id));
 
     let bm25OnlyChunks = [];
     if (bm25OnlyIds.length > 0) {
-      bm25OnlyChunks = await vectorStoreService.getChunksByIds(bm25OnlyIds);
+      stepStart = Date.now();
+      bm25OnlyChunks = (await this.vectorStore.getChunksByIds(bm25OnlyIds, { withVectors: true }))
+        .map(({ vector, ...chunk }) => ({
+          ...chunk,
+          score: vector ? Math.max(...queryEmbeddings.map(q => this.cosineSimilarity(q, vector))) : null
+        }));
+      timings.search_ms += Date.now() - stepStart;
     }
 
-    // 5. Apply Reciprocal Rank Fusion (RRF)
-    const fusedResults = this.reciprocalRankFusion(
-      bm25Results,
-      semanticResults,
-      bm25OnlyChunks
-    );
+    if (explain) {
+      const urls = new Map([...semanticResults, ...bm25OnlyChunks].map(c => [c.id, c.url]));
+
+      explain.query = {
+        strategy,
+        hyde: timings.hyde,
+        bm25_query: query,
+        bm25_tokens: this.bm25.tokenize(query),
+        synonyms,
+        extra_terms: extraTerms,
+        keyword: keywordQuery && {
+          phrases: keywordQuery.phrases,
+          required: keywordQuery.required,
+          excluded: keywordQuery.excluded
+        }
+      };
+      explain.semantic = this.explainList(semanticResults, 'cosine');
+      explain.bm25 = bm25Results.map((r, i) => ({
+        rank: i + 1,
+        id: r.id,
+        url: urls.get(r.id) || null,
+        score: r.score,
+        phrase_score: r.phrase_score,
+        proximity_score: r.proximity_score
+      }));
+    }
 
-    return fusedResults;
+    // 5. Fuse both lists
+    return this.fuseResults(bm25Results, semanticResults, bm25OnlyChunks, fusion, explain);
   }
 
   /**
-   * Reciprocal Rank Fusion: Combines multiple ranked lists
-   * RRF Score = sum(1 / (k + rank)) across all lists, normalized to 0-1
+   * Fuse BM25 and semantic lists into one ranking (scores 0-1, not min-max
+   * normalized, so the top result is only 1.0 if it earned it)
+   * - rrf: weighted Reciprocal Rank Fusion, divided by its maximum (1.0 = ranked
+   *   first in both lists)
+   * - convex: weighted sum of raw cosine and BM25 score / best BM25 score
+   * - semantic-gated: RRF over chunks whose cosine clears minSemanticScore (or,
+   *   if unset, the weakest semantic hit), so BM25 only reorders relevant chunks
    * @param {Array} bm25Results - BM25 ranked results (has IDs only)
    * @param {Array} semanticResults - Semantic search results (has full metadata)
-   * @param {Array} bm25OnlyChunks - Full metadata for BM25-only results
-   * @returns {Array} - Fused and re-ranked results with normalized scores
+   * @param {Array} bm25OnlyChunks - Full metadata + cosine for BM25-only results
+   * @param {object} fusion - Settings from getFusionSettings
+   * @param {object|null} [explain] - Filled with fusion: each chunk's ranks and score contributions
+   * @returns {Array} - Fused results with score, semantic_score, bm25_score
    */
-  reciprocalRankFusion(bm25Results, semanticResults, bm25OnlyChunks = []) {
-    const scoreMap = new Map(); // chunkId -> {score, data}
+  fuseResults(bm25Results, semanticResults, bm25OnlyChunks, fusion, explain = null) {
+    const { mode, rrfK, semanticWeight } = fusion;
+    const bm25Weight = 1 - semanticWeight;
+    const candidates = new Map(); // chunkId -> candidate
     const bm25OnlyMap = new Map(bm25OnlyChunks.map(c => [c.id, c]));
 
-    // Process semantic results first (has full metadata)
-    semanticResults.forEach((result, rank) => {
-      const rrfScore = 1 / (this.rrfK + rank + 1);
-      scoreMap.set(result.id, {
-        score: rrfScore,
-        id: result.id,
-        text: result.text,
-        title: result.title,
-        url: result.url,
-        metadata: result.metadata
+    const addCandidate = (chunk, semanticScore) => {
+      candidates.set(chunk.id, {
+        id: chunk.id,
+        text: chunk.text,
+        title: chunk.title,
+        url: chunk.url,
+        metadata: chunk.metadata,
+        semantic_score: semanticScore,
+        bm25_score: null,
+        semanticRank: null,
+        bm25Rank: null
       });
+    };
+
+    semanticResults.forEach((result, rank) => {
+      addCandidate(result, result.score);
+      candidates.get(result.id).semanticRank = rank + 1;
     });
 
-    // Process BM25 results
     bm25Results.forEach((result, rank) => {
-      const rrfScore = 1 / (this.rrfK + rank + 1);
-
-      if (scoreMap.has(result.id)) {
-        // Chunk already in semantic results, just add BM25 score
-        scoreMap.get(result.id).score += rrfScore;
-      } else {
-        // BM25-only result, get full metadata
+      if (!candidates.has(result.id)) {
         const fullChunk = bm25OnlyMap.get(result.id);
-        if (fullChunk) {
-          scoreMap.set(result.id, {
-            score: rrfScore,
-            id: result.id,
-            text: fullChunk.text,
-            title: fullChunk.title,
-            url: fullChunk.url,
-            metadata: fullChunk.metadata
-          });
-        }
+        if (!fullChunk) return;
+        addCandidate(fullChunk, fullChunk.score);
       }
+
+      const candidate = candidates.get(result.id);
+      candidate.bm25_score = result.score;
+      candidate.bm25Rank = rank + 1;
     });
 
-    // Convert to array and sort by fused score
-    let fusedResults = Array.from(scoreMap.values())
-      .sort((a, b) => b.score - a.score);
+    let pool = Array.from(candidates.values());
+    let gate = null;
 
-    // Normalize scores to 0-1 range for threshold comparison
-    if (fusedResults.length > 0) {
-      const maxScore = fusedResults[0].score;
-      const minScore = fusedResults[fusedResults.length - 1].score;
-      const scoreRange = maxScore - minScore;
-
-      if (scoreRange > 0) {
-        fusedResults = fusedResults.map(result => ({
-          ...result,
-          score: (result.score - minScore) / scoreRange
-        }));
-      } else {
-        // All scores are the same, set to 1.0
-        fusedResults = fusedResults.map(result => ({
-          ...result,
-          score: 1.0
-        }));
+    if (mode === 'semantic-gated') {
+      gate = fusion.minSemanticScore > 0
+        ? fusion.minSemanticScore
+        : Math.min(...semanticResults.map(r => r.score));
+
+      pool = pool.filter(c => c.semantic_score !== null && c.semantic_score >= gate);
+    }
+
+    const topBm25 = bm25Results.length > 0 ? bm25Results[0].score : 0;
+    const rrf = rank => (rank ? 1 / (rrfK + rank) : 0);
+
+    // Each list's share of the fused score
+    const contributions = ({ semanticRank, bm25Rank, semantic_score, bm25_score }) => {
+      if (mode === 'convex') {
+        const semantic = Math.min(Math.max(semantic_score || 0, 0), 1);
+        const keyword = topBm25 > 0 ? (bm25_score || 0) / topBm25 : 0;
+        return { semantic: semanticWeight * semantic, bm25: bm25Weight * keyword };
       }
+      return {
+        semantic: semanticWeight * rrf(semanticRank) * (rrfK + 1),
+        bm25: bm25Weight * rrf(bm25Rank) * (rrfK + 1)
+      };
+    };
+
+    const fusedResults = pool
+      .map(candidate => {
+        const { semantic, bm25 } = contributions(candidate);
+        const { semanticRank, bm25Rank, ...chunk } = candidate;
+        return { ...chunk, score: semantic + bm25 };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    if (explain) {
+      const fusedScores = new Map(fusedResults.map(r => [r.id, r.score]));
+
+      explain.fusion = {
+        mode,
+        rrfK,
+        semanticWeight,
+        semanticGate: gate,
+        chunks: Array.from(candidates.values()).map(candidate => ({
+          id: candidate.id,
+          url: candidate.url,
+          semantic_rank: candidate.semanticRank,
+          bm25_rank: candidate.bm25Rank,
+          semantic_score: candidate.semantic_score,
+          bm25_score: candidate.bm25_score,
+          contributions: contributions(candidate),
+          score: fusedScores.get(candidate.id) ?? null,
+          gated_out: !fusedScores.has(candidate.id)
+        })).sort((a, b) => (b.score ?? -1) - (a.score ?? -1))
+      };
     }
 
-    console.log(`  ✨ RRF fused ${fusedResults.length} unique chunks`);
+    console.log(`  ✨ ${mode} fused ${fusedResults.length} unique chunks`);
     if (fusedResults.length > 0) {
-      console.log(`  🏆 Top normalized score: ${fusedResults[0].score.toFixed(4)}`);
+      console.log(`  🏆 Top fused score: ${fusedResults[0].score.toFixed(4)}`);
     }
 
     return fusedResults;
   }
 
+  /**
+   * Drop chunks failing the query's +required/-excluded clauses, checked on the
+   * BM25 index (semantic hits need it too: their text may lack a required term)
+   * @param {Array<{id: number}>} results
+   * @param {object|null} keywordQuery - Parsed query syntax (see utils/keywordQuery)
+   * @returns {Array}
+   */
+  applyClauses(results, keywordQuery) {
+    if (!hasConstraints(keywordQuery)) return results;
+
+    const clauses = this.bm25.analyzeClauses(keywordQuery);
+    return results.filter(result => this.bm25.matchesClauses(result.id, clauses));
+  }
+
+  /**
+   * Absolute relevance gate: keep chunks whose raw cosine reaches
+   * minSemanticScore or whose raw BM25 score reaches minBm25Score.
+   * Disabled when both are 0. An empty result means "no good answer"
+   * @param {Array} results
+   * @param {object} fusion - Settings from getFusionSettings
+   * @returns {Array}
+   */
+  applyRelevanceGate(results, { minSemanticScore, minBm25Score }) {
+    if (!(minSemanticScore > 0) && !(minBm25Score > 0)) {
+      return results;
+    }
+
+    const kept = results.filter(r =>
+      (minSemanticScore > 0 && r.semantic_score !== null && r.semantic_score >= minSemanticScore) ||
+      (minBm25Score > 0 && r.bm25_score !== null && r.bm25_score >= minBm25Score)
+    );
+
+    if (kept.length < results.length) {
+      console.log(`  🚧 Relevance gate dropped ${results.length - kept.length} chunks (cosine < ${minSemanticScore}, BM25 < ${minBm25Score})`);
+    }
+
+    return kept;
+  }
+
+  /**
+   * Fill in fusion settings not given by the caller
+   * @param {object} [fusion]
+   * @param {string} [fusion.mode] - 'rrf', 'convex' or 'semantic-gated'
+   * @param {number} [fusion.rrfK] - RRF rank constant
+   * @param {number} [fusion.semanticWeight] - 0-1, BM25 gets the rest
+   * @param {number} [fusion.minSemanticScore] - Relevance gate on raw cosine (0 = off)
+   * @param {number} [fusion.minBm25Score] - Relevance gate on raw BM25 score (0 = off)
+   * @returns {object}
+   */
+  getFusionSettings(fusion = {}) {
+    const settings = {
+      mode: 'rrf',
+      rrfK: this.rrfK,
+      semanticWeight: 0.5,
+      minSemanticScore: 0,
+      minBm25Score: 0
+    };
+
+    Object.entries(fusion).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) settings[key] = value;
+    });
+
+    if (!FUSION_MODES.includes(settings.mode)) {
+      throw new Error(`Unknown fusion mode "${settings.mode}"`);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Cosine similarity between two vectors
+   * @param {Array<number>} a
+   * @param {Array<number>} b
+   * @returns {number}
+   */
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
   /**
    * Semantic-only search (fallback method)
    * @param {string} question - User's question
    * @param {number} topK - Number of chunks to retrieve
    * @param {number} similarityThreshold - Minimum similarity score
+   * @param {object} [timings] - Filled with embed_ms, search_ms (and hyde_ms)
+   * @param {object|null} [filters] - Metadata filters
+   * @param {string} [strategy] - Semantic query strategy (see embedQuery)
+   * @param {object|null} [explain] - Filled with query and semantic
+   * @param {object|null} [keywordQuery] - Parsed query syntax; its required/excluded clauses apply
+   * @param {object} [llm] - Bot context for the HyDE prompt (see embedQuery)
    * @returns {Promise<Array>}
    */
-  async semanticSearch(question, topK, similarityThreshold) {
+  async semanticSearch(question, topK, similarityThreshold, timings = {}, filters = null, strategy = 'question', explain = null, keywordQuery = null, llm = {}) {
     console.log(`  🧠 Semantic Search Only`);
 
-    // 1. Generate embedding for the question
-    const questionEmbedding = await embeddingsService.generateEmbedding(question);
+    // 1. Generate embedding(s) for the question
+    const queryEmbeddings = await this.embedQuery(question, strategy, timings, llm);
 
     // 2. Search Qdrant for similar chunks
-    const results = await vectorStoreService.search(questionEmbedding, topK);
+    const stepStart = Date.now();
+    const results = this.applyClauses(await this.searchVectors(queryEmbeddings, topK, filters), keywordQuery);
+    timings.search_ms = Date.now() - stepStart;
+
+    if (explain) {
+      explain.query = {
+        strategy,
+        hyde: timings.hyde,
+        keyword: keywordQuery && {
+          phrases: keywordQuery.phrases,
+          required: keywordQuery.required,
+          excluded: keywordQuery.excluded
+        }
+      };
+      explain.semantic = this.explainList(results, 'cosine');
+    }
 
     // 3. Filter by similarity threshold
-    const filteredResults = results.filter(r => r.score >= similarityThreshold);
+    const filteredResults = results
+      .filter(r => r.score >= similarityThreshold)
+      .map(r => ({ ...r, semantic_score: r.score, bm25_score: null }));
 
     return filteredResults;
   }
 
   /**
-   * Expand query with relevant keywords for better BM25 matching
-   * @param {string} question - Original question
-   * @returns {string} - Expanded question
+   * Query vector(s) for the semantic search, per strategy:
+   * - question: the question's embedding
+   * - hyde: the embedding of an LLM-written hypothetical answer (HyDE), which
+   *   sits closer to passage embeddings than a two-word question
+   * - average: mean of the question and HyDE embeddings
+   * - fusion: both, searched separately and fused (see searchVectors)
+   * Falls back to the question when the hypothetical answer can't be generated
+   * @param {string} question
+   * @param {string} strategy
+   * @param {object} timings - Filled with embed_ms, hyde_ms and hyde (the passage)
+   * @param {{organization: string, model: string}} [llm] - Bot context for the HyDE prompt
+   * @returns {Promise<Array<Array<number>>>} One or two vectors
    */
-  expandQuery(question) {
-    const lowerQuestion = question.toLowerCase();
-
-    // Expansion rules based on question patterns
-    const expansions = [];
-
-    // Results/benefits/outcomes questions → add metrics keywords
-    if (/(results?|benefits?|outcomes?|improvements?|impact|achieve|see|experience)/i.test(question)) {
-      expansions.push(
-        'percentage', 'metrics', 'statistics', 'improvements',
-        'increase', 'decrease', 'reduction', 'efficiency',
-        'productivity', 'engagement', 'data-entry', 'accidents',
-        'insights', 'actionable', 'proven', 'ROI'
-      );
+  async embedQuery(question, strategy, timings, llm = {}) {
+    let stepStart = Date.now();
+    const questionEmbedding = await embeddingsService.generateQueryEmbedding(question);
+    timings.embed_ms = Date.now() - stepStart;
+
+    if (strategy === 'question') {
+      return [questionEmbedding];
+    }
+
+    stepStart = Date.now();
+    const passage = await llmService.generateHypotheticalAnswer(question, llm);
+    timings.hyde_ms = Date.now() - stepStart;
+
+    if (!passage) {
+      console.warn(`  ⚠️  No hypothetical answer, searching with the question only`);
+      return [questionEmbedding];
     }
 
-    // Statistics/numbers questions
-    if (/(how much|how many|percentage|percent|number|stat|metric)/i.test(question)) {
-      expansions.push(
-        '70percent', '62percent', '45percent', '1.8x',
-        'increase', 'reduction', 'drop', 'less', 'more'
-      );
+    stepStart = Date.now();
+    const hydeEmbedding = await embeddingsService.generateQueryEmbedding(passage);
+    timings.embed_ms += Date.now() - stepStart;
+    timings.hyde = passage;
+    console.log(`  💭 HyDE (${strategy}): "${passage.substring(0, 60)}..."`);
+
+    if (strategy === 'hyde') {
+      return [hydeEmbedding];
     }
 
-    // Efficiency/performance questions
-    if (/(fast|quick|efficient|speed|time|performance)/i.test(question)) {
-      expansions.push(
-        'data-entry', 'productivity', 'workflow', 'automation',
-        'time-savings', 'faster', 'reduction'
-      );
+    if (strategy === 'average') {
+      return [questionEmbedding.map((value, i) => (value + hydeEmbedding[i]) / 2)];
     }
 
-    // Safety/accidents questions
-    if (/(safety|accident|injury|incident|compliance|hazard)/i.test(question)) {
-      expansions.push(
-        'workplace', 'accidents', 'injuries', 'compliance',
-        'risk', 'ergonomics', 'OSHA', 'safety'
-      );
+    return [questionEmbedding, hydeEmbedding];
+  }
+
+  /**
+   * Vector search with one or more query vectors. Several vectors are searched
+   * separately and fused with RRF for the order; each chunk keeps its best
+   * cosine as score, so fuseResults and the relevance gate still see a raw cosine
+   * @param {Array<Array<number>>} queryEmbeddings
+   * @param {number} topK
+   * @param {object|null} filters
+   * @returns {Promise<Array>}
+   */
+  async searchVectors(queryEmbeddings, topK, filters) {
+    if (queryEmbeddings.length === 1) {
+      return this.vectorStore.search(queryEmbeddings[0], topK, filters);
+    }
+
+    const lists = [];
+    for (const embedding of queryEmbeddings) {
+      lists.push(await this.vectorStore.search(embedding, topK, filters));
+    }
+
+    const bestCosine = new Map();
+    lists.flat().forEach(chunk => {
+      bestCosine.set(chunk.id, this.maxScore(bestCosine.get(chunk.id), chunk.score));
+    });
+
+    return this.fuseRankings(lists)
+      .slice(0, topK)
+      .map(chunk => ({ ...chunk, score: bestCosine.get(chunk.id) }));
+  }
+
+  /**
+   * Pick topK chunks that are relevant but not near-duplicates of each other:
+   * Maximal Marginal Relevance over the stored vectors, plus a per-page cap
+   * MMR(c) = lambda × relevance(c) - (1 - lambda) × max cosine(c, already picked)
+   * Relevance is rerank_score when reranked, else the fused score (scaled to the best candidate)
+   * @param {Array} candidates - Ranked candidate pool
+   * @param {number} topK
+   * @param {object} diversity
+   * @param {number} [diversity.lambda] - 1 = relevance only, 0 = diversity only
+   * @param {number} [diversity.maxPerUrl] - Max chunks from one page (0 = no cap)
+   * @returns {Promise<Array>} Selected chunks in pick order
+   */
+  async selectDiverse(candidates, topK, { lambda = 1, maxPerUrl = 0 } = {}) {
+    const relevanceOf = c => c.rerank_score ?? c.score;
+    const bestRelevance = Math.max(...candidates.map(relevanceOf)) || 1;
+
+    // Vectors are only needed for the MMR term
+    let vectors = new Map();
+    if (lambda < 1) {
+      const withVectors = await this.vectorStore.getChunksByIds(candidates.map(c => c.id), { withVectors: true });
+      vectors = new Map(withVectors.map(c => [c.id, c.vector]));
+    }
+
+    const selected = [];
+    const perUrl = new Map();
+    const remaining = [...candidates];
+
+    while (selected.length < topK && remaining.length > 0) {
+      let bestIndex = -1;
+      let bestMmr = -Infinity;
+
+      remaining.forEach((candidate, i) => {
+        if (maxPerUrl > 0 && (perUrl.get(candidate.url) || 0) >= maxPerUrl) return;
+
+        const relevance = relevanceOf(candidate) / bestRelevance;
+        let redundancy = 0;
+
+        const vector = vectors.get(candidate.id);
+        if (vector) {
+          selected.forEach(picked => {
+            const pickedVector = vectors.get(picked.id);
+            if (pickedVector) {
+              redundancy = Math.max(redundancy, this.cosineSimilarity(vector, pickedVector));
+            }
+          });
+        }
+
+        const mmr = lambda * relevance - (1 - lambda) * redundancy;
+        if (mmr > bestMmr) {
+          bestMmr = mmr;
+          bestIndex = i;
+        }
+      });
+
+      // Every remaining candidate is from a page that hit its cap
+      if (bestIndex === -1) break;
+
+      const [picked] = remaining.splice(bestIndex, 1);
+      selected.push(picked);
+      perUrl.set(picked.url, (perUrl.get(picked.url) || 0) + 1);
     }
 
-    // AI/technology questions
-    if (/(AI|artificial intelligence|technology|automation|digital)/i.test(question)) {
-      expansions.push(
-        'AI-powered', 'automation', 'digitize', 'no-code',
-        'machine-learning', 'intelligent', 'smart'
-      );
+    const pages = new Set(selected.map(c => c.url)).size;
+    console.log(`  🎲 Diversity: picked ${selected.length} of ${candidates.length} candidates from ${pages} pages (lambda ${lambda}, max/page ${maxPerUrl || '∞'})`);
+
+    return selected;
+  }
+
+  /**
+   * Multi-query retrieval: search LLM-generated rewordings of the question
+   * as well, and order the union of every result list by RRF (each list weighs the same)
+   * @param {string} question
+   * @param {Array} results - Results for the original question
+   * @param {Function} search - (query, timings) => Promise<Array>
+   * @param {number} count - Number of variants to generate
+   * @param {object} timings - Filled with multi_query_ms and query_variants
+   * @param {{organization: string, model: string}} [llm] - Bot context for the variants prompt
+   * @returns {Promise<Array>}
+   */
+  async searchQueryVariants(question, results, search, count, timings, llm = {}) {
+    const stepStart = Date.now();
+    const variants = await llmService.generateQueryVariants(question, count, llm);
+
+    if (variants.length === 0) {
+      return results;
     }
 
-    // Remove duplicates and filter out words already in question
-    const questionWords = new Set(lowerQuestion.split(/\s+/));
-    const uniqueExpansions = [...new Set(expansions)]
-      .filter(word => !questionWords.has(word.toLowerCase()));
+    console.log(`  🔀 Searching ${variants.length} query variants`);
 
-    if (uniqueExpansions.length === 0) {
-      return question; // No expansion needed
+    const lists = [results];
+    for (const variant of variants) {
+      lists.push(await search(variant, {}));
     }
 
-    // Add expansions to the end of the question
-    return `${question} ${uniqueExpansions.join(' ')}`;
+    timings.query_variants = variants;
+    timings.multi_query_ms = Date.now() - stepStart;
+
+    return this.fuseRankings(lists);
+  }
+
+  /**
+   * RRF over several ranked lists of chunks. RRF only decides the order: the
+   * score kept is the chunk's best score in any list, on the same scale as a
+   * single search, so similarityThreshold means the same with or without
+   * variants. Raw semantic/BM25 scores keep their best value too
+   * @param {Array<Array>} lists
+   * @returns {Array}
+   */
+  fuseRankings(lists) {
+    const k = this.rrfK;
+    const fused = new Map();
+
+    lists.forEach(list => {
+      list.forEach((chunk, rank) => {
+        const entry = fused.get(chunk.id);
+        const rrf = 1 / (k + rank + 1);
+
+        if (!entry) {
+          fused.set(chunk.id, { ...chunk, rrf });
+          return;
+        }
+
+        entry.rrf += rrf;
+        entry.score = Math.max(entry.score, chunk.score);
+        entry.semantic_score = this.maxScore(entry.semantic_score, chunk.semantic_score);
+        entry.bm25_score = this.maxScore(entry.bm25_score, chunk.bm25_score);
+      });
+    });
+
+    return [...fused.values()]
+      .sort((a, b) => b.rrf - a.rrf)
+      .map(({ rrf, ...chunk }) => chunk);
+  }
+
+  /**
+   * Larger of two optional scores (null/undefined = no score)
+   * @param {number|null} a
+   * @param {number|null} b
+   * @returns {number|null}
+   */
+  maxScore(a, b) {
+    if (a === null || a === undefined) return b ?? null;
+    if (b === null || b === undefined) return a;
+    return Math.max(a, b);
+  }
+
+  /**
+   * Ranked list for an explain report (no chunk text)
+   * @param {Array} results
+   * @param {string} scoreName - Key the raw score is reported under
+   * @returns {Array<object>}
+   */
+  explainList(results, scoreName) {
+    return results.map((r, i) => ({
+      rank: i + 1,
+      id: r.id,
+      url: r.url,
+      title: r.title,
+      chunk_index: r.chunk_index ?? r.metadata?.chunk_index,
+      [scoreName]: r.score
+    }));
+  }
+
+  /**
+   * Explain entries for the fused candidates, in fused order
+   * @param {Array} results
+   * @returns {Map<string, object>} id -> { fused_rank, scores, dropped_by, final_rank }
+   */
+  explainCandidates(results) {
+    return new Map(results.map((r, i) => [r.id, {
+      id: r.id,
+      url: r.url,
+      title: r.title,
+      fused_rank: i + 1,
+      score: r.score,
+      semantic_score: r.semantic_score,
+      bm25_score: r.bm25_score,
+      rerank_score: null,
+      dropped_by: null,
+      final_rank: null
+    }]));
+  }
+
+  /**
+   * Record which candidates a retrieval step removed
+   * @param {Map<string, object>} candidates - From explainCandidates
+   * @param {string} stepName - pool_size, similarity_threshold, relevance_gate, diversity, top_k
+   * @param {Array} before
+   * @param {Array} after
+   */
+  markDropped(candidates, stepName, before, after) {
+    const kept = new Set(after.map(r => r.id));
+
+    before.forEach(r => {
+      if (!kept.has(r.id) && candidates.has(r.id)) {
+        candidates.get(r.id).dropped_by = stepName;
+      }
+    });
   }
 
   /**
    * Generate cache key from question and parameters
    * @param {string} question
    * @param {number} topK
+   * @param {object} settings - Reranker, fusion, filter and expansion settings that change the result
    * @returns {string}
    */
-  getCacheKey(question, topK) {
-    return `${question.toLowerCase().trim()}_k${topK}`;
+  getCacheKey(question, topK, settings = {}) {
+    // Hashed: the synonym dictionary alone can be several KB
+    const settingsHash = crypto.createHash('md5').update(JSON.stringify(settings)).digest('hex');
+    return `${question.toLowerCase().trim()}_k${topK}_${settingsHash}`;
+  }
+
+  /**
+   * Version of the bot's searchable data: changes on every Qdrant upsert or
+   * delete and every BM25 rebuild/reload
+   * @returns {string} "<vector store generation>.<BM25 generation>"
+   */
+  getIndexGeneration() {
+    return `${this.vectorStore.generation}.${this.bm25.generation}`;
   }
 
   /**
@@ -316,6 +884,7 @@ class RetrievalService {
    */
   getCacheStats() {
     return {
+      generation: this.getIndexGeneration(),
       keys: this.cache.keys().length,
       hits: this.cache.getStats().hits,
       misses: this.cache.getStats().misses,
@@ -325,4 +894,7 @@ class RetrievalService {
   }
 }
 
-module.exports = new RetrievalService();
+const defaultRetrieval = new RetrievalService();
+instances.set(defaultRetrieval.botId, defaultRetrieval);
+
+module.exports = defaultRetrieval;
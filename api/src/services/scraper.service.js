@@ -25,7 +25,7 @@ class ScraperService {
       // Generate content hash for deduplication
       const contentHash = this.generateHash(content);
       
-      return { title, content, contentHash, sections };
+      return { title, content, contentHash, sections, language: this.extractLanguage(html) };
       
     } catch (error) {
       console.error(`❌ Error scraping ${url}:`, error.message);
@@ -60,6 +60,19 @@ class ScraperService {
     }
   }
 
+  /**
+   * Page language from <html lang> or og:locale ("en-US" → "en")
+   * @param {string} html
+   * @returns {string} Falls back to config.scraping.defaultLanguage
+   */
+  extractLanguage(html) {
+    const $ = cheerio.load(html);
+    const lang = $('html').attr('lang') || $('meta[property="og:locale"]').attr('content') || '';
+    const code = lang.trim().toLowerCase().split(/[-_]/)[0];
+
+    return /^[a-z]{2,3}$/.test(code) ? code : config.scraping.defaultLanguage;
+  }
+
   /**
    * Extract title and main content from HTML (with section headings preserved)
    * Removes navigation, ads, footers, etc.
@@ -9,22 +9,33 @@ const config = require('../config/ingestion.config');
 
 class SitemapService {
   /**
-   * Get all URLs from Knowella sitemaps
-   * @returns {Promise<Array<{url: string, lastmod: string}>>}
+   * Get all URLs from a bot's sources (sitemap index + extra URLs)
+   * Each URL carries the sub-sitemap it came from (source_id) and the content
+   * type derived from its name ("post-sitemap.xml" → "post"); listed URLs are
+   * source "urls", type "page"
+   * @param {object} sources - Bot sources from bots.config.js
+   * @returns {Promise<Array<{url: string, lastmod: string, source_id: string, content_type: string}>>}
    */
-  async getKnowellaUrls() {
-    console.log('📋 Fetching Knowella sitemap index...');
+  async getUrls(sources) {
+    const extraUrls = (sources.urls || []).map(url => ({ url, lastmod: '', source_id: 'urls', content_type: 'page' }));
+
+    if (!sources.sitemapUrl) {
+      console.log(`📋 No sitemap configured, using ${extraUrls.length} listed URLs`);
+      return extraUrls;
+    }
+
+    console.log(`📋 Fetching sitemap index ${sources.sitemapUrl}...`);
     
     try {
       // Step 1: Fetch main sitemap index
-      const indexXml = await this.fetchSitemap(config.knowella.sitemapUrl);
+      const indexXml = await this.fetchSitemap(sources.sitemapUrl);
       
       // Step 2: Parse to get sub-sitemap URLs
       const subSitemaps = this.parseIndex(indexXml);
       console.log(`Found ${subSitemaps.length} sub-sitemaps`);
       
       // Step 3: Filter to only included sitemaps
-      const filteredSitemaps = this.filterSitemaps(subSitemaps);
+      const filteredSitemaps = this.filterSitemaps(subSitemaps, sources);
       console.log(`Including ${filteredSitemaps.length} sub-sitemaps:`, 
         filteredSitemaps.map(s => s.split('/').pop()));
       
@@ -36,6 +47,10 @@ class SitemapService {
         console.log(`  ✓ ${sitemapUrl.split('/').pop()}: ${urls.length} URLs`);
       }
       
+      // Step 5: Add extra URLs not already in the sitemaps
+      const seen = new Set(allUrls.map(u => u.url));
+      allUrls.push(...extraUrls.filter(u => !seen.has(u.url)));
+      
       console.log(`✅ Total URLs found: ${allUrls.length}`);
       return allUrls;
       
@@ -80,19 +95,20 @@ class SitemapService {
   /**
    * Filter sub-sitemaps based on include/exclude config
    * @param {Array<string>} sitemaps 
+   * @param {object} sources - Bot sources with includedSitemaps/excludedSitemaps
    * @returns {Array<string>} Filtered sitemap URLs
    */
-  filterSitemaps(sitemaps) {
+  filterSitemaps(sitemaps, sources) {
     return sitemaps.filter(url => {
       const filename = url.split('/').pop();
       
       // Include if in the included list
-      const isIncluded = config.knowella.includedSitemaps.some(
+      const isIncluded = sources.includedSitemaps.some(
         included => filename.includes(included)
       );
       
       // Exclude if in the excluded list
-      const isExcluded = config.knowella.excludedSitemaps.some(
+      const isExcluded = (sources.excludedSitemaps || []).some(
         excluded => filename.includes(excluded)
       );
       
@@ -103,12 +119,15 @@ class SitemapService {
   /**
    * Get all page URLs from a single sitemap
    * @param {string} sitemapUrl 
-   * @returns {Promise<Array<{url: string, lastmod: string}>>}
+   * @returns {Promise<Array<{url: string, lastmod: string, source_id: string, content_type: string}>>}
    */
   async getUrlsFromSitemap(sitemapUrl) {
     const xml = await this.fetchSitemap(sitemapUrl);
     const $ = cheerio.load(xml, { xmlMode: true });
     const urls = [];
+
+    const sourceId = sitemapUrl.split('/').pop().toLowerCase();
+    const contentType = sourceId.replace(/[-_]?sitemap\d*\.xml$/, '') || 'page';
     
     // Extract all <url><loc> entries
     $('url').each((i, elem) => {
@@ -116,7 +135,7 @@ class SitemapService {
       const lastmod = $(elem).find('lastmod').text().trim();
       
       if (url) {
-        urls.push({ url, lastmod });
+        urls.push({ url, lastmod, source_id: sourceId, content_type: contentType });
       }
     });
     
@@ -1,17 +1,59 @@
 /**
  * Vector Store Service
  * Handles all Qdrant operations (create collection, upsert, search)
+ * One instance per bot, each bound to the bot's collection
  */
 
 const { QdrantClient } = require('@qdrant/js-client-rest');
+const botsConfig = require('../config/bots.config');
+const { urlPrefixes, toQdrantFilter } = require('../utils/retrievalFilters');
+
+const client = new QdrantClient({ 
+  url: process.env.QDRANT_URL || 'http://qdrant:6333' 
+});
+
+// botId -> VectorStoreService
+const instances = new Map();
+
+// Bump when the payload gains fields: pages stored with an older version are
+// re-ingested even if their content is unchanged (v2: retrieval filter fields)
+const PAYLOAD_VERSION = 2;
+
+// Payload fields used by retrieval filters and per-page lookups, indexed for filtered search
+const FILTER_INDEXES = {
+  url: 'keyword',
+  chunk_index: 'integer',
+  url_prefixes: 'keyword',
+  content_type: 'keyword',
+  source_id: 'keyword',
+  language: 'keyword',
+  last_crawled_ts: 'integer'
+};
 
 class VectorStoreService {
-  constructor() {
-    this.client = new QdrantClient({ 
-      url: process.env.QDRANT_URL || 'http://qdrant:6333' 
-    });
-    this.collectionName = 'knowella_pages';
+  /**
+   * @param {string} botId - Bot whose collection this instance uses
+   */
+  constructor(botId = botsConfig.defaultBotId) {
+    this.botId = botId;
+    this.client = client;
+    this.collectionName = botsConfig.getBot(botId).collection;
     this.vectorSize = 768; // Default for nomic-embed-text
+
+    // Bumped on every write (upsert/delete); caches built on older data are stale
+    this.generation = 0;
+  }
+
+  /**
+   * Get the vector store for a bot
+   * @param {string} botId
+   * @returns {VectorStoreService}
+   */
+  forBot(botId) {
+    if (!instances.has(botId)) {
+      instances.set(botId, new VectorStoreService(botId));
+    }
+    return instances.get(botId);
   }
 
   /**
@@ -28,19 +70,21 @@ class VectorStoreService {
       
       if (exists) {
         console.log(`✅ Collection "${this.collectionName}" already exists`);
-        return;
+      } else {
+        // Create collection
+        console.log(`📦 Creating collection "${this.collectionName}"...`);
+        await this.client.createCollection(this.collectionName, {
+          vectors: {
+            size: this.vectorSize,
+            distance: 'Cosine'  // Cosine similarity for semantic search
+          }
+        });
+
+        console.log(`✅ Collection created successfully`);
       }
-      
-      // Create collection
-      console.log(`📦 Creating collection "${this.collectionName}"...`);
-      await this.client.createCollection(this.collectionName, {
-        vectors: {
-          size: this.vectorSize,
-          distance: 'Cosine'  // Cosine similarity for semantic search
-        }
-      });
-      
-      console.log(`✅ Collection created successfully`);
+
+      // Also for existing collections created before filters were added
+      await this.ensurePayloadIndexes();
       
     } catch (error) {
       console.error('❌ Error initializing collection:', error.message);
@@ -48,6 +92,26 @@ class VectorStoreService {
     }
   }
 
+  /**
+   * Create payload indexes for the retrieval filter fields (no-op if they exist)
+   * @returns {Promise<void>}
+   */
+  async ensurePayloadIndexes() {
+    const info = await this.client.getCollection(this.collectionName);
+    const existing = info.payload_schema || {};
+
+    for (const [field, schema] of Object.entries(FILTER_INDEXES)) {
+      if (existing[field]) continue;
+
+      await this.client.createPayloadIndex(this.collectionName, {
+        field_name: field,
+        field_schema: schema,
+        wait: true
+      });
+      console.log(`  🗂️  Created payload index "${field}" (${schema})`);
+    }
+  }
+
   /**
    * Upsert chunks with embeddings into Qdrant
    * @param {Array<{text: string, embedding: Array<number>, metadata: object}>} chunks 
@@ -58,20 +122,10 @@ class VectorStoreService {
       console.log(`💾 Upserting ${chunks.length} chunks to Qdrant...`);
       
       // Format points for Qdrant
-      const points = chunks.map((chunk, index) => ({
+      const points = chunks.map(chunk => ({
         id: this.generateId(chunk.metadata.url, chunk.metadata.chunk_index),
         vector: chunk.embedding,
-        payload: {
-          text: chunk.text,
-          url: chunk.metadata.url,
-          title: chunk.metadata.title,
-          section_heading: chunk.metadata.section_heading || '',
-          chunk_index: chunk.metadata.chunk_index,
-          total_chunks: chunk.metadata.total_chunks,
-          content_hash: chunk.metadata.content_hash,
-          last_crawled: chunk.metadata.last_crawled || new Date().toISOString(),
-          collection_name: this.collectionName
-        }
+        payload: this.buildPayload(chunk)
       }));
       
       // Upsert in batches of 100
@@ -83,11 +137,15 @@ class VectorStoreService {
           wait: true,
           points: batch
         });
+        this.generation++;
         
         console.log(`  ✓ Upserted ${i + batch.length}/${points.length}`);
       }
       
       console.log(`✅ All chunks upserted successfully`);
+
+      // As stored, for the BM25 index
+      return points.map(point => this.toIndexChunk(point.id, point.payload));
       
     } catch (error) {
       console.error('❌ Error upserting chunks:', error.message);
@@ -95,18 +153,71 @@ class VectorStoreService {
     }
   }
 
+  /**
+   * Qdrant payload for a chunk
+   * @param {{text: string, metadata: object}} chunk
+   * @returns {object}
+   */
+  buildPayload(chunk) {
+    return {
+      text: chunk.text,
+      url: chunk.metadata.url,
+      title: chunk.metadata.title,
+      section_heading: chunk.metadata.section_heading || '',
+      chunk_index: chunk.metadata.chunk_index,
+      total_chunks: chunk.metadata.total_chunks,
+      content_hash: chunk.metadata.content_hash,
+      last_crawled: chunk.metadata.last_crawled || new Date().toISOString(),
+      collection_name: this.collectionName,
+      // Retrieval filter fields
+      url_prefixes: urlPrefixes(chunk.metadata.url),
+      content_type: (chunk.metadata.content_type || 'page').toLowerCase(),
+      source_id: (chunk.metadata.source_id || 'manual').toLowerCase(),
+      language: (chunk.metadata.language || '').toLowerCase(),
+      last_crawled_ts: this.toTimestamp(chunk.metadata.last_crawled),
+      payload_version: PAYLOAD_VERSION
+    };
+  }
+
+  /**
+   * Stored point → chunk in the shape the BM25 index takes
+   * @param {number} id
+   * @param {object} payload
+   * @returns {{id: number, text: string, metadata: object}}
+   */
+  toIndexChunk(id, payload) {
+    return {
+      id,
+      text: payload.text,
+      metadata: {
+        url: payload.url,
+        title: payload.title,
+        section_heading: payload.section_heading,
+        chunk_index: payload.chunk_index,
+        content_hash: payload.content_hash,
+        url_prefixes: payload.url_prefixes || urlPrefixes(payload.url),
+        content_type: payload.content_type,
+        source_id: payload.source_id,
+        language: payload.language,
+        last_crawled_ts: payload.last_crawled_ts
+      }
+    };
+  }
+
   /**
    * Search for similar chunks
    * @param {Array<number>} queryEmbedding
    * @param {number} limit
+   * @param {object|null} [filters] - Normalized retrieval filters (see utils/retrievalFilters)
    * @returns {Promise<Array<{id: number, text: string, url: string, title: string, score: number}>>}
    */
-  async search(queryEmbedding, limit = 5) {
+  async search(queryEmbedding, limit = 5, filters = null) {
     try {
       const results = await this.client.search(this.collectionName, {
         vector: queryEmbedding,
         limit,
-        with_payload: true
+        with_payload: true,
+        ...(filters && { filter: toQdrantFilter(filters) })
       });
 
       return results.map(result => ({
@@ -116,6 +227,7 @@ class VectorStoreService {
         title: result.payload.title,
         metadata: {
           chunk_index: result.payload.chunk_index,
+          total_chunks: result.payload.total_chunks,
           section_heading: result.payload.section_heading
         },
         chunk_index: result.payload.chunk_index,
@@ -131,15 +243,18 @@ class VectorStoreService {
   /**
    * Get specific chunks by their IDs
    * @param {Array<number>} ids - Array of chunk IDs
-   * @returns {Promise<Array<{id: number, text: string, title: string, url: string, metadata: object}>>}
+   * @param {object} [options]
+   * @param {boolean} [options.withVectors] - Also return each chunk's embedding as `vector`
+   * @returns {Promise<Array<{id: number, text: string, title: string, url: string, metadata: object, vector?: Array<number>}>>}
    */
-  async getChunksByIds(ids) {
+  async getChunksByIds(ids, { withVectors = false } = {}) {
     try {
       if (ids.length === 0) return [];
 
       const results = await this.client.retrieve(this.collectionName, {
         ids: ids,
-        with_payload: true
+        with_payload: true,
+        with_vector: withVectors
       });
 
       return results.map(point => ({
@@ -149,8 +264,10 @@ class VectorStoreService {
         url: point.payload.url,
         metadata: {
           chunk_index: point.payload.chunk_index,
+          total_chunks: point.payload.total_chunks,
           section_heading: point.payload.section_heading
-        }
+        },
+        ...(withVectors && { vector: point.vector })
       }));
 
     } catch (error) {
@@ -159,6 +276,42 @@ class VectorStoreService {
     }
   }
 
+  /**
+   * Get chunks of one page by position (for context expansion)
+   * @param {string} url
+   * @param {Array<number>} chunkIndexes
+   * @returns {Promise<Array<{id: number, text: string, chunk_index: number}>>} Ordered by chunk_index
+   */
+  async getChunksByUrl(url, chunkIndexes) {
+    try {
+      if (chunkIndexes.length === 0) return [];
+
+      const results = await this.client.scroll(this.collectionName, {
+        filter: {
+          must: [
+            { key: 'url', match: { value: url } },
+            { key: 'chunk_index', match: { any: chunkIndexes } }
+          ]
+        },
+        limit: chunkIndexes.length,
+        with_payload: ['text', 'chunk_index'],
+        with_vector: false
+      });
+
+      return results.points
+        .map(point => ({
+          id: point.id,
+          text: point.payload.text,
+          chunk_index: point.payload.chunk_index
+        }))
+        .sort((a, b) => a.chunk_index - b.chunk_index);
+
+    } catch (error) {
+      console.error('❌ Error fetching page chunks:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Get all chunks from Qdrant (for BM25 index building)
    * @returns {Promise<Array<{id: number, text: string, metadata: object}>>}
@@ -186,16 +339,7 @@ class VectorStoreService {
 
         // Add chunks to array
         results.points.forEach(point => {
-          allChunks.push({
-            id: point.id,
-            text: point.payload.text,
-            metadata: {
-              url: point.payload.url,
-              title: point.payload.title,
-              section_heading: point.payload.section_heading,
-              chunk_index: point.payload.chunk_index
-            }
-          });
+          allChunks.push(this.toIndexChunk(point.id, point.payload));
         });
 
         // Update offset for next batch
@@ -218,6 +362,50 @@ class VectorStoreService {
     }
   }
 
+  /**
+   * Get chunks by id in the shape the BM25 index takes (for repairing it)
+   * @param {Array<number>} ids
+   * @returns {Promise<Array<{id: number, text: string, metadata: object}>>}
+   */
+  async getIndexChunks(ids) {
+    const chunks = [];
+    const batchSize = 100;
+
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const points = await this.client.retrieve(this.collectionName, {
+        ids: ids.slice(i, i + batchSize),
+        with_payload: true,
+        with_vector: false
+      });
+      points.forEach(point => chunks.push(this.toIndexChunk(point.id, point.payload)));
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Id and content hash of every chunk (light scroll, for the BM25 consistency check)
+   * @returns {Promise<Map<number, string>>} chunk id -> content_hash
+   */
+  async getContentHashes() {
+    const hashes = new Map();
+    let offset = null;
+
+    do {
+      const results = await this.client.scroll(this.collectionName, {
+        limit: 1000,
+        offset,
+        with_payload: ['content_hash'],
+        with_vector: false
+      });
+
+      results.points.forEach(point => hashes.set(point.id, point.payload.content_hash));
+      offset = results.next_page_offset;
+    } while (offset);
+
+    return hashes;
+  }
+
   /**
    * Check if a URL's content has changed (using content hash)
    * @param {string} url
@@ -242,9 +430,14 @@ class VectorStoreService {
         return true;
       }
 
+      // Stored before the current payload fields existed: re-ingest to backfill them
+      const payload = results.points[0].payload;
+      if ((payload.payload_version || 1) < PAYLOAD_VERSION) {
+        return true;
+      }
+
       // Compare content hash
-      const existingHash = results.points[0].payload.content_hash;
-      return existingHash !== contentHash;
+      return payload.content_hash !== contentHash;
 
     } catch (error) {
       console.error('❌ Error checking content hash:', error.message);
@@ -266,6 +459,7 @@ class VectorStoreService {
           ]
         }
       });
+      this.generation++;
       
       console.log(`  🗑️  Deleted old chunks for: ${url}`);
       
@@ -274,6 +468,16 @@ class VectorStoreService {
     }
   }
 
+  /**
+   * ISO date → epoch seconds (for range filters on last_crawled)
+   * @param {string} date
+   * @returns {number}
+   */
+  toTimestamp(date) {
+    const time = Date.parse(date);
+    return Math.floor((Number.isNaN(time) ? Date.now() : time) / 1000);
+  }
+
   /**
    * Generate consistent ID from URL and chunk index
    * @param {string} url 
@@ -309,4 +513,7 @@ class VectorStoreService {
   }
 }
 
-module.exports = new VectorStoreService();
+const defaultVectorStore = new VectorStoreService();
+instances.set(defaultVectorStore.botId, defaultVectorStore);
+
+module.exports = defaultVectorStore;
@@ -0,0 +1,258 @@
+/**
+ * Text Analyzer
+ * Turns text into BM25 terms. The same analyzer runs on indexed chunks and on
+ * queries, so "automating", "automation" and "automate" all become "autom".
+ *
+ * Pipeline:
+ * 1. lowercase, number normalization ("1,000" → "1000", "70 %" / "70 percent" → "70percent", "2.50" → "2.5")
+ * 2. split on anything but letters, digits, dots and dashes; trim edge dots/dashes ("audit." → "audit")
+ * 3. protected terms (acronyms such as AI, ROI, OSHA) are kept as-is, whatever their length
+ * 4. stopwords and short tokens without a digit are dropped
+ * 5. irregular forms are lemmatized ("children" → "child"), then words are stemmed (Porter)
+ *
+ * Settings (see ingestion.config.js): stemmer, lemmas, stopwords, minTokenLength, protectedTerms.
+ * The analyzer id encodes ANALYZER_VERSION and the settings; saved BM25 indexes
+ * record it, and an index built with another analyzer must be rebuilt.
+ */
+
+const crypto = require('crypto');
+
+// Bump whenever the pipeline below changes what it produces
+const ANALYZER_VERSION = 1;
+
+const STEMMERS = ['porter', 'none'];
+
+const STOPWORD_LISTS = {
+  // English stopwords (Snowball list)
+  full: [
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
+    'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+    'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for',
+    'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+    'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+    'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+    'only', 'or', 'other', 'ought', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same',
+    'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+    'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+    'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+    'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself',
+    'yourselves', 'also', 'may', 'might', 'must', 'shall', 'us'
+  ],
+  // The list used before the analyzer existed
+  minimal: [
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'her',
+    'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how',
+    'its', 'may', 'new', 'now', 'old', 'see', 'than', 'that', 'this', 'with'
+  ],
+  none: []
+};
+
+// Irregular forms the stemmer cannot relate to their base word
+const LEMMAS = {
+  children: 'child', people: 'person', men: 'man', women: 'woman', feet: 'foot', teeth: 'tooth',
+  mice: 'mouse', analyses: 'analysis', criteria: 'criterion', phenomena: 'phenomenon',
+  indices: 'index', matrices: 'matrix', appendices: 'appendix', data: 'datum',
+  went: 'go', gone: 'go', ran: 'run', made: 'make', took: 'take', taken: 'take',
+  built: 'build', bought: 'buy', brought: 'bring', thought: 'think', sought: 'seek',
+  taught: 'teach', kept: 'keep', began: 'begin', begun: 'begin', chose: 'choose',
+  chosen: 'choose', wrote: 'write', written: 'write', spent: 'spend', led: 'lead'
+};
+
+// ===== PORTER STEMMER =====
+// M. F. Porter, "An algorithm for suffix stripping", 1980 (with the published
+// bli → ble and logi → log revisions)
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonants = consonant + '[^aeiouy]*';
+const vowels = vowel + '[aeiou]*';
+
+const MEASURE_GT_0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+const MEASURE_EQ_1 = new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`);
+const HAS_VOWEL = new RegExp(`^(${consonants})?${vowel}`);
+const ENDS_CVC = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3 = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const STEP2_SUFFIX = new RegExp(`^(.+?)(${Object.keys(STEP2).join('|')})$`);
+const STEP3_SUFFIX = new RegExp(`^(.+?)(${Object.keys(STEP3).join('|')})$`);
+const STEP4_SUFFIX = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+/**
+ * Porter stem of a lowercase word
+ * @param {string} word - Letters only
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length < 3) return word;
+
+  // A leading y is a consonant
+  const leadingY = word[0] === 'y';
+  let w = leadingY ? 'Y' + word.slice(1) : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y → i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  if ((match = STEP2_SUFFIX.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness...
+  if ((match = STEP3_SUFFIX.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3[match[2]];
+  }
+
+  // Step 4: remaining suffixes on long stems
+  if ((match = STEP4_SUFFIX.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)([st])ion$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: final -e, -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return leadingY ? 'y' + w.slice(1) : w;
+}
+
+// ===== ANALYZER =====
+
+/**
+ * Lowercase text with numbers written one way
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeNumbers(text) {
+  return text
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')                   // 1,000,000 → 1000000
+    .replace(/(\d+(?:\.\d+)?)\s*(?:%|per\s?cent\b)/g, '$1percent') // 70 % / 70 percent → 70percent
+    .replace(/(\d+)\.(\d*?)0+(?!\d|\.\d)/g, (m, whole, decimals) =>    // 2.50 → 2.5, 3.0 → 3
+      decimals ? `${whole}.${decimals}` : whole);
+}
+
+/**
+ * Validate settings, falling back to the defaults for bad values
+ * @param {object} settings
+ * @returns {{stemmer: string, lemmas: boolean, stopwords: string, minTokenLength: number, protectedTerms: Array<string>}}
+ */
+function normalizeSettings(settings = {}) {
+  const minTokenLength = parseInt(settings.minTokenLength, 10);
+
+  return {
+    stemmer: STEMMERS.includes(settings.stemmer) ? settings.stemmer : 'porter',
+    lemmas: settings.lemmas !== false,
+    stopwords: Object.prototype.hasOwnProperty.call(STOPWORD_LISTS, settings.stopwords) ? settings.stopwords : 'full',
+    minTokenLength: minTokenLength >= 1 ? minTokenLength : 3,
+    protectedTerms: [...new Set((settings.protectedTerms || []).map(term => String(term).toLowerCase().trim()).filter(Boolean))].sort()
+  };
+}
+
+/**
+ * Create an analyzer
+ * @param {object} [settings] - See normalizeSettings
+ * @returns {{id: string, settings: object, analyze: function(string): Array<string>}}
+ *   id: "v<version>-<stemmer>-<stopwords>-<minTokenLength>[-lemmas]-<protected terms hash>"
+ */
+function createAnalyzer(settings = {}) {
+  const normalized = normalizeSettings(settings);
+  const stopwords = new Set(STOPWORD_LISTS[normalized.stopwords]);
+  const protectedTerms = new Set(normalized.protectedTerms);
+  const termsHash = crypto.createHash('md5').update(normalized.protectedTerms.join(',')).digest('hex').slice(0, 8);
+
+  const id = [
+    `v${ANALYZER_VERSION}`,
+    normalized.stemmer,
+    normalized.stopwords,
+    normalized.minTokenLength,
+    ...(normalized.lemmas ? ['lemmas'] : []),
+    termsHash
+  ].join('-');
+
+  /**
+   * Analyzed term for one token, or null to drop it
+   * @param {string} token
+   * @returns {string|null}
+   */
+  const term = (token) => {
+    if (protectedTerms.has(token)) return token;
+    if (stopwords.has(token)) return null;
+
+    const hasDigit = /\d/.test(token);
+    if (!hasDigit && token.length < normalized.minTokenLength) return null;
+    if (hasDigit || !/^[a-z]+$/.test(token)) return token;
+
+    const lemma = normalized.lemmas && LEMMAS[token] ? LEMMAS[token] : token;
+    return normalized.stemmer === 'porter' ? stem(lemma) : lemma;
+  };
+
+  /**
+   * Analyze text into terms
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  const analyze = (text) => {
+    if (!text) return [];
+
+    const terms = [];
+    normalizeNumbers(text)
+      .replace(/[^\w\s.-]/g, ' ')  // Keep letters, digits, dash, dot (for decimals)
+      .split(/\s+/)
+      .forEach(token => {
+        const analyzed = term(token.replace(/^[.-]+|[.-]+$/g, ''));
+        if (analyzed) terms.push(analyzed);
+      });
+    return terms;
+  };
+
+  return { id, settings: normalized, analyze };
+}
+
+module.exports = {
+  ANALYZER_VERSION,
+  stem,
+  createAnalyzer
+};
@@ -0,0 +1,32 @@
+/**
+ * Concurrency Utility
+ * Runs async work over a list with a cap on in-flight calls
+ * (CPU-bound Ollama slows down badly when many prompts run at once)
+ */
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * Results keep the input order
+ * @param {Array} items
+ * @param {number} limit - Max concurrent calls (>= 1)
+ * @param {function(*, number): Promise<*>} fn - Called with (item, index)
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,62 @@
+/**
+ * Keyword Query Syntax
+ * Parses the query syntax of keyword (BM25) search:
+ * - "quoted phrase": ranks chunks containing the exact phrase higher
+ * - +term / +"phrase": chunks must contain it
+ * - -term / -"phrase": chunks must not contain it
+ * Quotes are always read; + and - only when operators are enabled (admin
+ * search and explain), since chat questions use dashes as plain text.
+ * Terms are kept as raw text here: the BM25 service runs them through its analyzer.
+ */
+
+// Optional operator, then a quoted phrase or a bare word
+const CLAUSE_PATTERN = /(^|\s)([+-]?)(?:"([^"]*)"?|(\S+))/g;
+
+/**
+ * Parse a query
+ * @param {string} query
+ * @param {object} [options]
+ * @param {boolean} [options.operators] - Read +required and -excluded clauses
+ * @returns {{text: string, phrases: Array<string>, required: Array<string>, excluded: Array<string>}}
+ *   text: the query without syntax or excluded clauses, for embeddings and BM25 terms;
+ *   phrases: quoted phrases (required ones included); required/excluded: words or phrases
+ */
+function parseKeywordQuery(query, { operators = false } = {}) {
+  const words = [];
+  const phrases = [];
+  const required = [];
+  const excluded = [];
+
+  for (const match of (query || '').matchAll(CLAUSE_PATTERN)) {
+    const operator = operators ? match[2] : '';
+    const quoted = match[3] !== undefined;
+    const clause = quoted ? match[3].trim() : (operators ? match[4] : match[2] + match[4]);
+
+    if (!clause) continue;
+
+    if (operator === '-') {
+      excluded.push(clause);
+      continue;
+    }
+
+    if (operator === '+') required.push(clause);
+    if (quoted && /\s/.test(clause)) phrases.push(clause);
+    words.push(clause);
+  }
+
+  return { text: words.join(' '), phrases, required, excluded };
+}
+
+/**
+ * Whether a parsed query has clauses that filter chunks
+ * @param {object|null} keywordQuery - From parseKeywordQuery
+ * @returns {boolean}
+ */
+function hasConstraints(keywordQuery) {
+  return Boolean(keywordQuery) && (keywordQuery.required.length > 0 || keywordQuery.excluded.length > 0);
+}
+
+module.exports = {
+  parseKeywordQuery,
+  hasConstraints
+};
@@ -4,6 +4,11 @@
  */
 
 class QuestionParser {
+  constructor() {
+    // Separator between answers in a combined response
+    this.SECTION_SEPARATOR = '\n\n---\n\n';
+  }
+
   /**
    * Detect if input contains multiple questions
    * @param {string} text 
@@ -89,19 +94,19 @@ class QuestionParser {
     }
 
     // Format multiple answers with clear sections
-    let combined = '';
-    
-    results.forEach((result, index) => {
-      const questionNum = index + 1;
-      const questionTitle = this.extractQuestionTitle(result.question);
-      
-      combined += `**Question ${questionNum}: ${questionTitle}**\n\n`;
-      combined += result.answer;
-      combined += '\n\n---\n\n';
-    });
+    return results
+      .map((result, index) => this.formatSectionHeader(result.question, index) + result.answer)
+      .join(this.SECTION_SEPARATOR);
+  }
 
-    // Remove trailing separator
-    return combined.replace(/\n\n---\n\n$/, '');
+  /**
+   * Heading shown above each answer in a combined response
+   * @param {string} question
+   * @param {number} index - Zero-based position
+   * @returns {string}
+   */
+  formatSectionHeader(question, index) {
+    return `**Question ${index + 1}: ${this.extractQuestionTitle(question)}**\n\n`;
   }
 
   /**
@@ -123,17 +128,19 @@ class QuestionParser {
 
   /**
    * Merge citations from multiple results
+   * Numbered citations are deduplicated by marker, others by URL
    * @param {Array<{question: string, answer: string, citations: Array}>} results 
    * @returns {Array}
    */
   mergeCitations(results) {
-    const uniqueUrls = new Set();
+    const seen = new Set();
     const mergedCitations = [];
 
     results.forEach(result => {
       result.citations.forEach(citation => {
-        if (!uniqueUrls.has(citation.url)) {
-          uniqueUrls.add(citation.url);
+        const key = citation.marker !== undefined ? `marker:${citation.marker}` : citation.url;
+        if (!seen.has(key)) {
+          seen.add(key);
           mergedCitations.push(citation);
         }
       });
@@ -141,6 +148,40 @@ class QuestionParser {
 
     return mergedCitations;
   }
+
+  /**
+   * Renumber inline [n] markers so they are unique across combined answers
+   * Each answer numbers its own context blocks from [1]; after renumbering the
+   * same chunk gets the same marker everywhere and different chunks never collide
+   * @param {Array<{question: string, answer: string, citations: Array}>} results
+   * @returns {Array<{question: string, answer: string, citations: Array}>} New result objects
+   */
+  renumberCitations(results) {
+    const globalMarkers = new Map(); // chunk_id -> global marker
+
+    return results.map(result => {
+      const localToGlobal = new Map();
+
+      result.citations.forEach(citation => {
+        if (!globalMarkers.has(citation.chunk_id)) {
+          globalMarkers.set(citation.chunk_id, globalMarkers.size + 1);
+        }
+        localToGlobal.set(citation.marker, globalMarkers.get(citation.chunk_id));
+      });
+
+      const answer = result.answer.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, group) => {
+        const markers = group.split(',').map(n => localToGlobal.get(parseInt(n.trim(), 10)));
+        return markers.every(Boolean) ? `[${markers.join(', ')}]` : match;
+      });
+
+      const citations = result.citations.map(citation => ({
+        ...citation,
+        marker: localToGlobal.get(citation.marker)
+      }));
+
+      return { ...result, answer, citations };
+    });
+  }
 }
 
 module.exports = new QuestionParser();
@@ -0,0 +1,168 @@
+/**
+ * Retrieval Filters
+ * Metadata filters shared by the Qdrant (payload filter) and BM25 (in-memory)
+ * sides of hybrid search, so both apply exactly the same rules.
+ *
+ * Filter fields (all optional):
+ * - urlPrefix: path prefix, segment-aligned ("/blog" matches /blog/..., not /blogger/)
+ * - contentType: "post", "page"... (string or array)
+ * - sourceId: sub-sitemap the page came from, e.g. "post-sitemap.xml" (string or array)
+ * - language: "en", "de"... (string or array)
+ * - crawledAfter / crawledBefore: ISO dates on last_crawled
+ */
+
+const LIST_FIELDS = {
+  contentType: 'content_type',
+  sourceId: 'source_id',
+  language: 'language'
+};
+
+/**
+ * Path prefixes of a URL, each ending in "/"
+ * "https://x.com/blog/post-1" → ["/", "/blog/", "/blog/post-1/"]
+ * @param {string} url
+ * @returns {Array<string>}
+ */
+function urlPrefixes(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (error) {
+    pathname = url || '/';
+  }
+
+  const segments = pathname.split('/').filter(Boolean);
+  const prefixes = ['/'];
+
+  segments.forEach((segment, i) => {
+    prefixes.push('/' + segments.slice(0, i + 1).join('/') + '/');
+  });
+
+  return prefixes;
+}
+
+/**
+ * Validate and normalize filters from a request
+ * @param {object} raw
+ * @returns {{filters: object|null, errors: Array<string>}} filters is null when nothing is filtered
+ */
+function normalizeFilters(raw) {
+  if (raw === undefined || raw === null) {
+    return { filters: null, errors: [] };
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { filters: null, errors: ['filters must be an object'] };
+  }
+
+  const filters = {};
+  const errors = [];
+
+  Object.entries(raw).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+
+    if (key === 'urlPrefix') {
+      if (typeof value !== 'string') {
+        errors.push('filters.urlPrefix must be a string');
+        return;
+      }
+      // Accept full URLs too; keep the path, always ending in "/"
+      const prefix = urlPrefixes(value).pop();
+      if (prefix !== '/') filters.urlPrefix = prefix;
+      return;
+    }
+
+    if (LIST_FIELDS[key]) {
+      const values = Array.isArray(value) ? value : [value];
+      if (values.length === 0 || !values.every(v => typeof v === 'string' && v.length > 0 && v.length <= 100)) {
+        errors.push(`filters.${key} must be a string or an array of strings`);
+        return;
+      }
+      filters[key] = values.map(v => v.toLowerCase());
+      return;
+    }
+
+    if (key === 'crawledAfter' || key === 'crawledBefore') {
+      const time = Date.parse(value);
+      if (typeof value !== 'string' || Number.isNaN(time)) {
+        errors.push(`filters.${key} must be an ISO date`);
+        return;
+      }
+      filters[key] = Math.floor(time / 1000);
+      return;
+    }
+
+    errors.push(`Unknown filter "${key}"`);
+  });
+
+  return {
+    filters: Object.keys(filters).length > 0 ? filters : null,
+    errors
+  };
+}
+
+/**
+ * Qdrant payload filter for normalized filters
+ * @param {object|null} filters
+ * @returns {object|undefined}
+ */
+function toQdrantFilter(filters) {
+  if (!filters) return undefined;
+
+  const must = [];
+
+  if (filters.urlPrefix) {
+    must.push({ key: 'url_prefixes', match: { value: filters.urlPrefix } });
+  }
+
+  Object.entries(LIST_FIELDS).forEach(([key, field]) => {
+    if (filters[key]) {
+      must.push({ key: field, match: { any: filters[key] } });
+    }
+  });
+
+  if (filters.crawledAfter !== undefined || filters.crawledBefore !== undefined) {
+    must.push({
+      key: 'last_crawled_ts',
+      range: {
+        ...(filters.crawledAfter !== undefined && { gte: filters.crawledAfter }),
+        ...(filters.crawledBefore !== undefined && { lte: filters.crawledBefore })
+      }
+    });
+  }
+
+  return { must };
+}
+
+/**
+ * In-memory equivalent of toQdrantFilter (used by BM25)
+ * @param {object} metadata - Chunk metadata with url_prefixes, content_type, source_id, language, last_crawled_ts
+ * @param {object|null} filters
+ * @returns {boolean}
+ */
+function matchesFilters(metadata, filters) {
+  if (!filters) return true;
+  if (!metadata) return false;
+
+  if (filters.urlPrefix && !(metadata.url_prefixes || []).includes(filters.urlPrefix)) {
+    return false;
+  }
+
+  const listMismatch = Object.entries(LIST_FIELDS).some(([key, field]) =>
+    filters[key] && !filters[key].includes(metadata[field])
+  );
+  if (listMismatch) return false;
+
+  const crawled = metadata.last_crawled_ts;
+  if (filters.crawledAfter !== undefined && !(crawled >= filters.crawledAfter)) return false;
+  if (filters.crawledBefore !== undefined && !(crawled <= filters.crawledBefore)) return false;
+
+  return true;
+}
+
+module.exports = {
+  urlPrefixes,
+  normalizeFilters,
+  toQdrantFilter,
+  matchesFilters
+};
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { stem, createAnalyzer } = require('../src/utils/analyzer');
+const ingestionConfig = require('../src/config/ingestion.config');
+
+// Changing any expected value below changes the terms of every stored index:
+// bump ANALYZER_VERSION along with it
+
+const analyzer = createAnalyzer(ingestionConfig.analyzer);
+
+test('Porter stemmer', () => {
+  const cases = [
+    // Step 1a: plurals
+    ['caresses', 'caress'], ['ponies', 'poni'], ['ties', 'ti'], ['caress', 'caress'], ['cats', 'cat'],
+    // Step 1b: -eed, -ed, -ing
+    ['feed', 'feed'], ['agreed', 'agre'], ['plastered', 'plaster'], ['motoring', 'motor'], ['sing', 'sing'],
+    ['conflated', 'conflat'], ['troubled', 'troubl'], ['sized', 'size'], ['hopping', 'hop'], ['tanned', 'tan'],
+    ['falling', 'fall'], ['hissing', 'hiss'], ['fizzed', 'fizz'], ['failing', 'fail'], ['filing', 'file'],
+    // Step 1c, 2, 3, 4, 5
+    ['happy', 'happi'], ['relational', 'relat'], ['conditional', 'condit'], ['generalization', 'gener'],
+    ['electrical', 'electr'], ['adjustment', 'adjust'], ['controll', 'control'], ['roll', 'roll'],
+    // Leading y is a consonant
+    ['yielding', 'yield'],
+    // Word families the analyzer exists for
+    ['automation', 'autom'], ['automating', 'autom'], ['automate', 'autom']
+  ];
+
+  cases.forEach(([word, expected]) => assert.strictEqual(stem(word), expected, word));
+});
+
+test('analyzer pipeline', () => {
+  const cases = [
+    // Protected terms are kept whatever their length; other short words are dropped
+    ['AI and ML for OSHA ROI', ['ai', 'ml', 'osha', 'roi']],
+    ['x2 go QA hr', ['x2', 'qa', 'hr']],
+    // Hyphenated tokens stay whole and are not stemmed
+    ['real-time e-learning dashboards', ['real-time', 'e-learning', 'dashboard']],
+    // Edge dots and dashes are trimmed
+    ['audit. -checklist- ..end', ['audit', 'checklist', 'end']],
+    // Irregular forms are lemmatized before stemming
+    ['Children taught the people', ['child', 'teach', 'person']],
+    // Numbers are written one way
+    ['Save 1,000 hours, 70 % faster, 2.50 per unit, 3.0 rating',
+      ['save', '1000', 'hour', '70percent', 'faster', '2.5', 'per', 'unit', '3', 'rate']],
+    ['70 percent', ['70percent']],
+    // Stopwords only
+    ['the and of to', []],
+    ['', []]
+  ];
+
+  cases.forEach(([text, expected]) => assert.deepStrictEqual(analyzer.analyze(text), expected, text));
+});
+
+test('analyzer settings and id', () => {
+  const plain = createAnalyzer({ ...ingestionConfig.analyzer, stemmer: 'none', stopwords: 'none', lemmas: false });
+  assert.deepStrictEqual(plain.analyze('The automated audits of children'), ['the', 'automated', 'audits', 'children']);
+
+  // The id changes with any setting that changes the terms
+  assert.match(analyzer.id, /^v\d+-porter-full-3-lemmas-[0-9a-f]{8}$/);
+  assert.notStrictEqual(plain.id, analyzer.id);
+  assert.notStrictEqual(createAnalyzer({ ...ingestionConfig.analyzer, protectedTerms: ['ai'] }).id, analyzer.id);
+
+  // Protected terms are compared case-insensitively and in any order
+  const terms = ingestionConfig.analyzer.protectedTerms;
+  assert.strictEqual(createAnalyzer({ ...ingestionConfig.analyzer, protectedTerms: [...terms].reverse().map(t => t.toUpperCase()) }).id, analyzer.id);
+
+  // Unknown values fall back to the defaults
+  assert.strictEqual(createAnalyzer({ ...ingestionConfig.analyzer, stemmer: 'bogus' }).id, analyzer.id);
+});
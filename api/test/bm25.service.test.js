@@ -0,0 +1,186 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const bm25Service = require('../src/services/bm25.service');
+
+// The service logs every build, search and save
+console.log = () => {};
+console.warn = () => {};
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bm25-test-'));
+let indexFiles = 0;
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const TOPICS = ['incident reporting', 'safety audit', 'training records', 'permit to work', 'risk assessment'];
+const WORDS = ['mobile', 'checklist', 'inspection', 'hazard', 'contractor', 'dashboard', 'compliance', 'workflow', 'report', 'audit'];
+
+// Deterministic pseudo-random numbers, so every run indexes the same corpus
+let seed = 7;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const pick = (list) => list[Math.floor(random() * list.length)];
+
+/**
+ * Synthetic chunks with titles, headings, bodies and urls of varying length
+ * @param {number} count
+ * @returns {Array<{id: string, text: string, metadata: object}>}
+ */
+function makeChunks(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const topic = TOPICS[i % TOPICS.length];
+    const body = Array.from({ length: 10 + Math.floor(random() * 40) }, () => pick(WORDS));
+    return {
+      id: `chunk-${i}`,
+      text: `${topic} ${body.join(' ')}`,
+      metadata: {
+        title: `${topic} software`,
+        section_heading: pick(WORDS),
+        url: `https://example.com/${topic.replace(/ /g, '-')}/${i}`,
+        content_hash: `hash-${i}`
+      }
+    };
+  });
+}
+
+/**
+ * Service writing its index file to a temporary directory
+ * @param {string} [indexPath]
+ * @returns {object}
+ */
+function makeService(indexPath = path.join(tmpDir, `index-${++indexFiles}.json`)) {
+  const service = new bm25Service.constructor();
+  service.indexPath = indexPath;
+  return service;
+}
+
+/**
+ * Reference BM25F: scores every document from its field tokens, no index
+ * @param {object} service
+ * @param {Array} chunks
+ * @param {Array<string>} terms - Analyzed query terms
+ * @returns {Array<{docIdx: number, score: number}>} Documents matching a term, best first
+ */
+function fullScan(service, chunks, terms) {
+  const docs = chunks.map(chunk => service.fieldTokens(chunk));
+  const avgLengths = service.fields.map((_, f) => docs.reduce((sum, fields) => sum + fields[f].length, 0) / docs.length);
+  const idf = term => {
+    const df = docs.filter(fields => fields.some(tokens => tokens.includes(term))).length;
+    return Math.log((docs.length - df + 0.5) / (df + 0.5) + 1);
+  };
+
+  return docs
+    .map((fields, docIdx) => {
+      let score = 0;
+      let matched = false;
+      terms.forEach(term => {
+        let tf = 0;
+        fields.forEach((tokens, f) => {
+          const freq = tokens.filter(token => token === term).length;
+          if (freq === 0) return;
+          const { boost, b } = service.fields[f];
+          tf += boost * freq / (1 - b + b * tokens.length / avgLengths[f]);
+        });
+        if (tf > 0) {
+          matched = true;
+          score += idf(term) * tf * (service.k1 + 1) / (tf + service.k1);
+        }
+      });
+      return { docIdx, score, matched };
+    })
+    .filter(doc => doc.matched)
+    .sort((a, b) => b.score - a.score || a.docIdx - b.docIdx)
+    .map(({ docIdx, score }) => ({ docIdx, score }));
+}
+
+/**
+ * Compare two result lists by id and score
+ * @param {Array<{id: string, score: number}>} actual
+ * @param {Array<{id: string, score: number}>} expected
+ */
+function assertSameResults(actual, expected) {
+  assert.deepStrictEqual(actual.map(r => r.id), expected.map(r => r.id));
+  actual.forEach((result, i) => {
+    assert.ok(Math.abs(result.score - expected[i].score) < 1e-9, `${result.id}: ${result.score} vs ${expected[i].score}`);
+  });
+}
+
+const QUERIES = ['incident reporting mobile', 'safety audit checklist', 'contractor permit', 'hazard risk dashboard workflow'];
+
+test('top-k results match a full scan of every document', async () => {
+  const chunks = makeChunks(120);
+  const service = makeService();
+  await service.buildIndex(chunks);
+
+  QUERIES.forEach(query => {
+    const terms = service.tokenize(query);
+    const expected = fullScan(service, chunks, terms).slice(0, 10);
+    const actual = service.bm25.search(terms, [], 10);
+
+    assert.deepStrictEqual(actual.map(r => r.docIdx), expected.map(r => r.docIdx), query);
+    actual.forEach((result, i) => assert.ok(Math.abs(result.score - expected[i].score) < 1e-9, query));
+  });
+});
+
+test('removing documents, then compacting, scores like a fresh build', async () => {
+  const chunks = makeChunks(80);
+  const removed = chunks.filter((_, i) => i % 3 === 0);
+  const remaining = chunks.filter((_, i) => i % 3 !== 0);
+
+  const updated = makeService();
+  await updated.buildIndex(chunks);
+  updated.removeByIds(removed.map(chunk => chunk.id));
+
+  const fresh = makeService();
+  await fresh.buildIndex(remaining);
+
+  // Before compact() the removed slots are still there, empty
+  QUERIES.forEach(query => assertSameResults(updated.search(query, 20), fresh.search(query, 20)));
+
+  await updated.saveIndex();  // Compacts
+  assert.strictEqual(updated.bm25.docLengths.length, remaining.length);
+  QUERIES.forEach(query => assertSameResults(updated.search(query, 20), fresh.search(query, 20)));
+  assert.deepStrictEqual(updated.documentIds, fresh.documentIds);
+});
+
+test('an index saved and loaded again gives the same results', async () => {
+  const chunks = makeChunks(60);
+  const saved = makeService();
+  await saved.buildIndex(chunks);
+
+  const loaded = makeService(saved.indexPath);
+  assert.strictEqual(await loaded.loadIndex(), true);
+  assert.strictEqual(loaded.rebuildReason, null);
+  assert.deepStrictEqual(loaded.getStats(), saved.getStats());
+
+  QUERIES.forEach(query => assertSameResults(loaded.search(query, 20), saved.search(query, 20)));
+
+  // Phrases and clauses need the saved positions
+  const keywordQuery = { phrases: ['incident reporting'], required: ['mobile'], excluded: ['contractor'] };
+  assertSameResults(
+    loaded.search('incident reporting mobile', 20, null, [], keywordQuery),
+    saved.search('incident reporting mobile', 20, null, [], keywordQuery)
+  );
+});
+
+test('an index from another format or analyzer is not loaded and asks for a rebuild', async () => {
+  const saved = makeService();
+  await saved.buildIndex(makeChunks(10));
+  const data = JSON.parse(fs.readFileSync(saved.indexPath, 'utf-8'));
+
+  fs.writeFileSync(saved.indexPath, JSON.stringify({ ...data, formatVersion: 3 }));
+  const oldFormat = makeService(saved.indexPath);
+  assert.strictEqual(await oldFormat.loadIndex(), false);
+  assert.match(oldFormat.rebuildReason, /index format 3/);
+  assert.strictEqual(oldFormat.bm25, null);
+
+  fs.writeFileSync(saved.indexPath, JSON.stringify({ ...data, analyzer: 'v0-none-none-1-00000000' }));
+  const otherAnalyzer = makeService(saved.indexPath);
+  assert.strictEqual(await otherAnalyzer.loadIndex(), false);
+  assert.match(otherAnalyzer.rebuildReason, /analyzer v0-none-none-1-00000000/);
+
+  // A rebuild clears the reason
+  await otherAnalyzer.buildIndex(makeChunks(10));
+  assert.strictEqual(otherAnalyzer.rebuildReason, null);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.RERANKER = 'cross-encodr';
+process.env.FUSION_MODE = 'convex';
+const botConfigService = require('../src/services/botConfig.service');
+
+test('an unknown enum value in the environment falls back to the built-in default', () => {
+  const defaults = botConfigService.getDefaults();
+
+  assert.strictEqual(defaults.reranker, 'none');
+  assert.strictEqual(defaults.fusionMode, 'convex');
+  assert.deepStrictEqual(botConfigService.validate({ reranker: defaults.reranker, fusionMode: defaults.fusionMode }), []);
+});
+
+test('defaults changed after a PUT still apply to fields the PUT did not set', () => {
+  const service = new botConfigService.constructor(':memory:');
+
+  process.env.CHAT_TOP_K = '8';
+  service.updateConfig('knowella', { tone: 'warm and concise' });
+  assert.deepStrictEqual(service.getCurrent('knowella').overrides, { tone: 'warm and concise' });
+
+  // A new default is picked up on the next load (e.g. after a restart)
+  process.env.CHAT_TOP_K = '12';
+  service.cache.clear();
+  assert.strictEqual(service.getConfig('knowella').topK, 12);
+
+  // Later updates keep the earlier overrides
+  service.updateConfig('knowella', { topK: 5 });
+  assert.deepStrictEqual(service.getCurrent('knowella').overrides, { tone: 'warm and concise', topK: 5 });
+  assert.strictEqual(service.getConfig('knowella').tone, 'warm and concise');
+
+  delete process.env.CHAT_TOP_K;
+  service.db.close();
+});
+
+test('opt-in features stay off unless the environment enables them', () => {
+  delete process.env.ANSWER_CACHE_TTL_SECONDS;
+  assert.strictEqual(botConfigService.getDefaults().answerCacheTtl, 0);
+
+  process.env.ANSWER_CACHE_TTL_SECONDS = '3600';
+  assert.strictEqual(botConfigService.getDefaults().answerCacheTtl, 3600);
+
+  delete process.env.ANSWER_CACHE_TTL_SECONDS;
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.CONVERSATION_MAX_SESSIONS = '3';
+const conversationService = require('../src/services/conversation.service');
+
+test('follow-ups need a pronoun or reference, not just a short question', () => {
+  const cases = [
+    ['What is Knowella pricing?', false],
+    ['Do you offer training?', false],
+    ['How does incident reporting work for remote teams?', false],
+    ['How much does it cost?', true],
+    ['Tell me more', true],
+    ['And pricing?', true],
+    ['What about mobile support?', true]
+  ];
+
+  for (const [question, expected] of cases) {
+    assert.strictEqual(conversationService.isFollowUp(question), expected, question);
+  }
+});
+
+test('a full conversation store evicts the least recently active session', async () => {
+  for (const sessionId of ['a', 'b', 'c']) {
+    conversationService.addTurn(sessionId, `question ${sessionId}`, `answer ${sessionId}`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  // Updating an existing session still works when full
+  conversationService.addTurn('a', 'follow-up', 'answer');
+  assert.strictEqual(conversationService.getHistory('a').length, 2);
+
+  // A new session pushes out "b", the least recently active one
+  assert.doesNotThrow(() => conversationService.addTurn('d', 'question d', 'answer d'));
+  assert.strictEqual(conversationService.getHistory('d').length, 1);
+  assert.deepStrictEqual(conversationService.getHistory('b'), []);
+  assert.strictEqual(conversationService.getHistory('c').length, 1);
+  assert.strictEqual(conversationService.store.keys().length, 3);
+
+  conversationService.store.close();
+});
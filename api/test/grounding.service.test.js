@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const groundingService = require('../src/services/grounding.service');
+const { createAnalyzer } = require('../src/utils/analyzer');
+
+// Lexical checks match on the bot's analyzer terms: stemmed, "automates" and "automation" agree
+const stemmed = createAnalyzer({ stemmer: 'porter' });
+const unstemmed = createAnalyzer({ stemmer: 'none', lemmas: false });
+
+test('grounding claim checks tokenize with the given analyzer', async () => {
+  const answer = 'Knowella automates safety audits for contractors.';
+  const chunks = [{ title: 'Audits', text: 'Automation of the safety audit for every contractor team.' }];
+
+  const withStems = await groundingService.validate(answer, chunks, stemmed);
+  const withoutStems = await groundingService.validate(answer, chunks, unstemmed);
+
+  assert.deepStrictEqual(withStems.checks.claims, { total: 1, supported: 1 });
+  assert.deepStrictEqual(withoutStems.checks.claims, { total: 1, supported: 0 });
+});
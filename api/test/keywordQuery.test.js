@@ -0,0 +1,124 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseKeywordQuery, hasConstraints } = require('../src/utils/keywordQuery');
+const bm25Service = require('../src/services/bm25.service');
+
+// The service logs every build and search
+console.log = () => {};
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyword-query-test-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('parseKeywordQuery', () => {
+  const cases = [
+    // [query, operators, expected]
+    ['"incident tracking" +mobile -pricing', true,
+      { text: 'incident tracking mobile', phrases: ['incident tracking'], required: ['mobile'], excluded: ['pricing'] }],
+    ['+"safety audit" -"free trial" osha', true,
+      { text: 'safety audit osha', phrases: ['safety audit'], required: ['safety audit'], excluded: ['free trial'] }],
+    // Without operators (chat questions) + and - are plain text; quotes still make phrases
+    ['"incident tracking" +mobile -pricing', false,
+      { text: 'incident tracking +mobile -pricing', phrases: ['incident tracking'], required: [], excluded: [] }],
+    ['what is ehs-compliance?', false,
+      { text: 'what is ehs-compliance?', phrases: [], required: [], excluded: [] }],
+    // Dashes inside words are not operators
+    ['non-profit e-learning', true,
+      { text: 'non-profit e-learning', phrases: [], required: [], excluded: [] }],
+    // An unclosed quote runs to the end; a quoted single word is not a phrase
+    ['unclosed "quote here', true,
+      { text: 'unclosed quote here', phrases: ['quote here'], required: [], excluded: [] }],
+    ['single "word" phrase', false,
+      { text: 'single word phrase', phrases: [], required: [], excluded: [] }],
+    // Empty quotes are dropped, lone operators stay as text
+    ['- + "" word', true,
+      { text: '- + word', phrases: [], required: [], excluded: [] }],
+    ['', true, { text: '', phrases: [], required: [], excluded: [] }],
+    [null, false, { text: '', phrases: [], required: [], excluded: [] }]
+  ];
+
+  cases.forEach(([query, operators, expected]) => {
+    assert.deepStrictEqual(parseKeywordQuery(query, { operators }), expected, `${query} (operators: ${operators})`);
+  });
+});
+
+test('hasConstraints', () => {
+  assert.strictEqual(hasConstraints(null), false);
+  assert.strictEqual(hasConstraints(parseKeywordQuery('"incident tracking"', { operators: true })), false);
+  assert.strictEqual(hasConstraints(parseKeywordQuery('+mobile', { operators: true })), true);
+  assert.strictEqual(hasConstraints(parseKeywordQuery('-pricing', { operators: true })), true);
+  assert.strictEqual(hasConstraints(parseKeywordQuery('+mobile -pricing', { operators: false })), false);
+});
+
+const CHUNKS = [
+  { id: 1, text: 'Incident tracking on mobile devices for field teams.', metadata: { title: 'Incident tracking' } },
+  { id: 2, text: 'Tracking every incident, with pricing per seat.', metadata: { title: 'Pricing' } },
+  { id: 3, text: 'Report an incident quickly. Our tracking keeps a history.', metadata: { title: 'Reports' } },
+  { id: 4, text: 'Incident forms, audits, checklists, permits, inspections, contractor onboarding and tracking.', metadata: { title: 'Features' } },
+  // "incident" ends the title and "tracking" starts the body: not a phrase across fields
+  { id: 5, text: 'Tracking of training records.', metadata: { title: 'Safety incident' } },
+  { id: 6, text: 'Training records and certificates.', metadata: { title: 'Training' } }
+];
+
+/**
+ * Service indexing CHUNKS, with its index file in a temporary directory
+ * @returns {Promise<object>}
+ */
+async function makeService() {
+  const service = new bm25Service.constructor();
+  service.indexPath = path.join(tmpDir, 'index.json');
+  await service.buildIndex(CHUNKS);
+  return service;
+}
+
+test('phraseCount and matchesClauses', async () => {
+  const service = await makeService();
+  const { bm25 } = service;
+  const phrase = service.tokenize('incident tracking');
+  const docIdx = id => service.idIndex.get(id);
+
+  assert.strictEqual(bm25.phraseCount(phrase, docIdx(1)), 2);   // Title and body
+  assert.strictEqual(bm25.phraseCount(phrase, docIdx(2)), 0);   // Reversed order
+  assert.strictEqual(bm25.phraseCount(phrase, docIdx(3)), 0);   // Apart
+  assert.strictEqual(bm25.phraseCount(phrase, docIdx(5)), 0);   // Across title and body
+  assert.strictEqual(bm25.phraseCount(service.tokenize('training'), docIdx(6)), 2);
+  assert.strictEqual(bm25.phraseCount(service.tokenize('unknown'), docIdx(6)), 0);
+
+  const clauses = service.analyzeClauses({ phrases: [], required: ['incident tracking'], excluded: ['pricing'] });
+  assert.deepStrictEqual(CHUNKS.filter(chunk => service.matchesClauses(chunk.id, clauses)).map(chunk => chunk.id), [1]);
+
+  // Chunks missing from the index only pass when nothing is required
+  assert.strictEqual(service.matchesClauses(99, clauses), false);
+  assert.strictEqual(service.matchesClauses(99, service.analyzeClauses({ phrases: [], required: [], excluded: ['pricing'] })), true);
+});
+
+test('phrases and proximity add to the score; operators filter the results', async () => {
+  const service = await makeService();
+  const search = (query, operators) => service.search(parseKeywordQuery(query, { operators }).text, 10, null, [],
+    parseKeywordQuery(query, { operators }));
+  const ids = results => results.map(r => r.id);
+
+  // Verbatim phrase first, with a phrase bonus only where the phrase occurs
+  const phrased = search('"incident tracking"', false);
+  assert.strictEqual(phrased[0].id, 1);
+  phrased.forEach(r => assert.strictEqual(r.phrase_score > 0, r.id === 1, `chunk ${r.id}`));
+
+  // Proximity: both terms within the window of 5 (chunk 3: 2 terms apart), not chunk 4 (8 apart)
+  const near = service.search('incident tracking', 10);
+  const proximity = id => near.find(r => r.id === id).proximity_score;
+  assert.ok(proximity(3) > 0);
+  assert.ok(proximity(2) > 0);
+  assert.strictEqual(proximity(4), 0);
+
+  // +required / -excluded
+  assert.deepStrictEqual(ids(search('incident +mobile', true)), [1]);
+  assert.ok(!ids(search('incident tracking -pricing', true)).includes(2));
+  assert.deepStrictEqual(ids(search('training -records', true)), []);
+
+  // Operators disabled: same question, nothing filtered
+  assert.ok(ids(search('incident tracking -pricing', false)).includes(2));
+  assert.ok(search('incident +mobile', false).length > 1);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+
+const llmService = require('../src/services/llm.service');
+
+test('readLines decodes characters split across chunks', async () => {
+  const bytes = Buffer.from('{"token":"café"}\n{"token":"naïve"}\n', 'utf8');
+  const split = bytes.indexOf(Buffer.from('é')) + 1;   // Between the two bytes of "é"
+  const lines = [];
+
+  await llmService.readLines(Readable.from([bytes.subarray(0, split), bytes.subarray(split)]), line => lines.push(line));
+
+  assert.deepStrictEqual(lines, ['{"token":"café"}', '{"token":"naïve"}']);
+});
+
+test('readLines stops at the first line that throws', async () => {
+  const lines = [];
+  const stream = Readable.from([Buffer.from('one\nbad\nthree\nfour\n')]);
+
+  await assert.rejects(llmService.readLines(stream, line => {
+    if (line === 'bad') throw new Error('bad line');
+    lines.push(line);
+  }), /bad line/);
+
+  assert.deepStrictEqual(lines, ['one']);
+});
+
+test('query helpers name the bot\'s organization and use its model', async (t) => {
+  const calls = [];
+  t.mock.method(llmService, 'generate', async (systemPrompt, userPrompt, options) => {
+    calls.push({ systemPrompt, model: options.model });
+    return 'How much does Acme cost?\nAcme pricing plans';
+  });
+
+  const bot = { organization: 'Acme', model: 'acme-model' };
+  await llmService.rewriteQuestion('how much?', [{ question: 'What is Acme?', answer: 'A platform.' }], bot);
+  await llmService.generateQueryVariants('pricing?', 2, bot);
+  await llmService.generateHypotheticalAnswer('pricing?', bot);
+
+  assert.strictEqual(calls.length, 3);
+  calls.forEach(({ systemPrompt, model }) => {
+    assert.match(systemPrompt, /Acme/);
+    assert.doesNotMatch(systemPrompt, /Knowella/);
+    assert.strictEqual(model, 'acme-model');
+  });
+});
+
+test('streamed citation markers match the final answer however tokens split them', () => {
+  const chunks = [{ url: 'https://a' }, { url: 'https://b' }];
+  const raw = 'Audits run weekly [1] and monthly [7]. See [1, 9] or [array] [2';
+  const expected = llmService.extractCitations(raw, chunks).answer;
+
+  for (const size of [1, 2, 3, 5, raw.length]) {
+    let streamed = '';
+    const stream = llmService.createCitationStream(chunks.length, text => { streamed += text; });
+
+    for (let i = 0; i < raw.length; i += size) {
+      stream.write(raw.slice(i, i + size));
+    }
+    stream.end();
+
+    assert.strictEqual(streamed, expected, `tokens of ${size}`);
+  }
+  assert.strictEqual(expected, 'Audits run weekly [1] and monthly. See [1] or [array] [2');
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const rerankerService = require('../src/services/reranker.service');
+const { createAnalyzer } = require('../src/utils/analyzer');
+
+// Lexical scores match on the bot's analyzer terms: stemmed, "automating" and "automation" agree
+const stemmed = createAnalyzer({ stemmer: 'porter' });
+const unstemmed = createAnalyzer({ stemmer: 'none', lemmas: false });
+
+test('lexical reranking tokenizes with the given analyzer', async () => {
+  const candidates = [
+    { id: 1, title: 'Pricing', text: 'Plans and prices per seat.' },
+    { id: 2, title: 'Audits', text: 'Automation of the safety audit.' }
+  ];
+
+  const withStems = await rerankerService.rerank('automating audits', candidates, 'lexical', stemmed);
+  const withoutStems = await rerankerService.rerank('automating audits', candidates, 'lexical', unstemmed);
+
+  // Both terms in the text (0.8) and "audits" in the title (0.2 × 1/2)
+  assert.strictEqual(withStems[0].id, 2);
+  assert.strictEqual(withStems[0].rerank_score, 0.9);
+  // Unstemmed, only the title's "audits" matches
+  assert.strictEqual(withoutStems.find(candidate => candidate.id === 2).rerank_score, 0.1);
+});
@@ -35,6 +35,9 @@
     let userInfo = null;
     let sessionId = null;
 
+    // Bot texts from the API (welcomeText, disclaimer), null until loaded
+    let botSettings = null;
+
     /**
      * Initialize widget
      */
@@ -92,9 +95,38 @@
             }
         });
 
+        loadBotSettings();
+
         console.log('Knowella Chat Widget v4 initialized');
     }
 
+    /**
+     * Load the bot's welcome text and disclaimer (GET <apiUrl>/settings)
+     * The texts in the template stay if the API can't be reached
+     */
+    async function loadBotSettings() {
+        try {
+            const response = await fetch(`${config.apiUrl.replace(/\/+$/, '')}/settings`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            botSettings = await response.json();
+        } catch (error) {
+            console.warn('Knowella Chat Widget: bot settings not loaded', error);
+            return;
+        }
+
+        const subtitle = welcomeScreen && welcomeScreen.querySelector('.knowella-welcome-subtitle');
+        if (subtitle && botSettings.welcomeText) {
+            subtitle.textContent = botSettings.welcomeText;
+        }
+
+        const disclaimer = chatPanel.querySelector('.knowella-chat-disclaimer');
+        if (disclaimer && botSettings.disclaimer) {
+            disclaimer.textContent = botSettings.disclaimer;
+        }
+    }
+
     /**
      * Generate unique session ID
      */
@@ -423,7 +455,9 @@
                     question,
                     name: userInfo.name,
                     email: userInfo.email,
-                    sessionId: sessionId
+                    sessionId: sessionId,
+                    // Optional retrieval scope, e.g. { urlPrefix: '/blog/', language: 'en' }
+                    ...(config.filters && { filters: config.filters })
                 })
             });
 
@@ -468,7 +502,13 @@
         // Message content
         const contentDiv = document.createElement('div');
         contentDiv.className = 'knowella-message-content';
-        contentDiv.innerHTML = '<p>👋 Hi! I\'m the Knowella AI assistant. Ask me anything about Knowella\'s products, services, or solutions!</p>';
+        if (botSettings && botSettings.welcomeText) {
+            const welcomeP = document.createElement('p');
+            welcomeP.textContent = botSettings.welcomeText;
+            contentDiv.appendChild(welcomeP);
+        } else {
+            contentDiv.innerHTML = '<p>👋 Hi! I\'m the Knowella AI assistant. Ask me anything about Knowella\'s products, services, or solutions!</p>';
+        }
 
         // Timestamp
         const timeDiv = document.createElement('div');
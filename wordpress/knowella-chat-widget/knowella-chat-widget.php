@@ -49,7 +49,7 @@ class Knowella_Chat_Widget {
             'knowella-chat-widget',
             plugins_url('assets/knowella-widget-v4.js', __FILE__),
             array(),
-            '4.0.4',
+            '4.0.5',
             true
         );
 
@@ -60,7 +60,9 @@ class Knowella_Chat_Widget {
             'logoUrl' => plugins_url('assets/logo4.png', __FILE__),
             'prechatLogoUrl' => plugins_url('assets/logo5.png', __FILE__),
             'chatbotSmileIconUrl' => plugins_url('assets/chatbot-smile-icon.svg', __FILE__),
-            'userIconUrl' => plugins_url('assets/icon.svg', __FILE__)
+            'userIconUrl' => plugins_url('assets/icon.svg', __FILE__),
+            // Scope answers per page, e.g. add_filter('knowella_chat_retrieval_filters', fn() => array('contentType' => 'post'))
+            'filters' => apply_filters('knowella_chat_retrieval_filters', null)
         ));
     }
     
@@ -96,7 +98,6 @@ class Knowella_Chat_Widget {
         register_setting('knowella_chat_settings', 'knowella_chat_theme');
         register_setting('knowella_chat_settings', 'knowella_chat_tone');
         register_setting('knowella_chat_settings', 'knowella_chat_rules');
-        register_setting('knowella_chat_settings', 'knowella_chat_disclaimer');
     }
     
     /**
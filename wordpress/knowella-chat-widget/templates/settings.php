@@ -64,21 +64,6 @@
                     <p class="description">Guidelines for how the bot should respond</p>
                 </td>
             </tr>
-            
-            <tr>
-                <th scope="row">
-                    <label for="knowella_chat_disclaimer">Disclaimer</label>
-                </th>
-                <td>
-                    <textarea 
-                        id="knowella_chat_disclaimer" 
-                        name="knowella_chat_disclaimer" 
-                        rows="2" 
-                        class="large-text"
-                    ><?php echo esc_textarea(get_option('knowella_chat_disclaimer', 'This information is based on Knowella\'s website content. For specific inquiries, please contact Knowella directly.')); ?></textarea>
-                    <p class="description">Disclaimer text shown to users</p>
-                </td>
-            </tr>
         </table>
         
         <?php submit_button(); ?>